@@ -0,0 +1,164 @@
+/**
+ * Airtime Reconciler
+ * Estimates each game session's airtime from the screenshots and compares it
+ * with the DB true_airtime, start_time and end_time
+ */
+
+const DEFAULT_AIRTIME_TOLERANCE = 30;
+
+class AirtimeReconciler {
+    constructor() {
+        this.tolerance = DEFAULT_AIRTIME_TOLERANCE;
+        this.sessions = [];
+        this.sessionsById = new Map();
+        this.frameInterval = 0;
+    }
+
+    /**
+     * Set the allowed drift in seconds
+     */
+    setTolerance(seconds) {
+        this.tolerance = Math.max(0, Number(seconds) || 0);
+        return this.tolerance;
+    }
+
+    /**
+     * Reconcile every DB session seen in the results (timeline order)
+     */
+    run(results) {
+        this.frameInterval = window.analysisUtils.estimateFrameInterval(results);
+        const durations = this.getFrameDurations(results);
+
+        // The last occurrence of a session carries its most recent airtime and end time.
+        // Frames are grouped by post-processed session ID and by ML class in the same pass.
+        const dbSessions = new Map();
+        const framesBySession = new Map();
+        const framesByGame = new Map();
+        const addFrame = (map, key, result) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(result);
+        };
+
+        results.forEach(result => {
+            (result.dbSessions || []).forEach(session => {
+                dbSessions.set(session.gameSessionId, session);
+            });
+            new Set((result.postProcessed?.games || []).map(game => game.gameSessionId))
+                .forEach(id => addFrame(framesBySession, id, result));
+            new Set((result.mlInference?.games || []).map(game => game.class))
+                .forEach(gameClass => addFrame(framesByGame, gameClass, result));
+        });
+
+        this.sessions = [...dbSessions.values()].map(session => this.reconcileSession(
+            session,
+            framesBySession.get(session.gameSessionId) || [],
+            framesByGame.get(session.gameIdentifier) || [],
+            durations
+        ));
+        this.sessionsById = new Map(this.sessions.map(entry => [entry.gameSessionId, entry]));
+
+        return this.sessions;
+    }
+
+    /**
+     * Seconds each screenshot stands for: the time until the next capture,
+     * at most one frame interval, so capture gaps do not count as airtime
+     */
+    getFrameDurations(results) {
+        const frames = results
+            .map(result => ({ result, time: window.analysisUtils.toMillis(result.screenshot?.timestamp) }))
+            .filter(frame => frame.time !== null)
+            .sort((a, b) => a.time - b.time);
+
+        const durations = new Map();
+        frames.forEach((frame, i) => {
+            const next = frames[i + 1];
+            const gap = next ? (next.time - frame.time) / 1000 : this.frameInterval;
+            durations.set(frame.result, Math.min(gap, this.frameInterval));
+        });
+        return durations;
+    }
+
+    /**
+     * Compare one DB session with the frames it was seen in: post-processed with
+     * its session ID, or its game detected by ML within the DB session's time range
+     */
+    reconcileSession(session, sessionFrames, gameFrames, durations) {
+        const dbStart = window.analysisUtils.toMillis(session.startTime);
+        const dbEnd = window.analysisUtils.toMillis(session.endTime);
+        const frames = [...new Set([
+            ...sessionFrames,
+            ...gameFrames.filter(result => this.withinSession(result, dbStart, dbEnd))
+        ])].sort((a, b) => a.index - b.index);
+        const timed = frames
+            .map(result => ({ time: window.analysisUtils.toMillis(result.screenshot?.timestamp), duration: durations.get(result) || 0 }))
+            .filter(frame => frame.time !== null);
+
+        const entry = {
+            gameSessionId: session.gameSessionId,
+            gameIdentifier: session.gameIdentifier,
+            gameName: session.gameName,
+            dbStart: session.startTime,
+            dbEnd: session.endTime,
+            dbAirtime: session.trueAirtime,
+            frameCount: frames.length,
+            firstIndex: frames.length > 0 ? frames[0].index : null,
+            observedStart: null,
+            observedEnd: null,
+            estimatedAirtime: 0,
+            // DB airtime minus the screenshot estimate
+            airtimeDrift: session.trueAirtime,
+            startDrift: null,
+            endDrift: null,
+            exceeds: false
+        };
+
+        if (timed.length > 0) {
+            const first = timed.reduce((min, frame) => Math.min(min, frame.time), Infinity);
+            const last = timed.reduce((max, frame) => Math.max(max, frame.time + frame.duration * 1000), -Infinity);
+
+            entry.observedStart = new Date(first).toISOString();
+            entry.observedEnd = new Date(last).toISOString();
+            // Only the frames the game was seen in count, not the time between sightings
+            entry.estimatedAirtime = timed.reduce((sum, frame) => sum + frame.duration, 0);
+            entry.airtimeDrift = session.trueAirtime - entry.estimatedAirtime;
+            entry.startDrift = dbStart !== null ? (dbStart - first) / 1000 : null;
+            entry.endDrift = dbEnd !== null ? (dbEnd - last) / 1000 : null;
+        }
+
+        entry.exceeds = Math.abs(entry.airtimeDrift) > this.tolerance;
+        return entry;
+    }
+
+    /**
+     * Whether a frame falls within a DB session's time range
+     */
+    withinSession(result, dbStart, dbEnd) {
+        const time = window.analysisUtils.toMillis(result.screenshot?.timestamp);
+        return time !== null && dbStart !== null && time >= dbStart && (dbEnd === null || time <= dbEnd);
+    }
+
+    /**
+     * Reconciliations over the tolerance for the sessions a result refers to
+     */
+    getDriftingSessions(result) {
+        const ids = new Set([
+            ...(result.dbSessions || []).map(session => session.gameSessionId),
+            ...(result.postProcessed?.games || []).map(game => game.gameSessionId)
+        ]);
+
+        return [...ids]
+            .map(id => this.sessionsById.get(id))
+            .filter(entry => entry && entry.exceeds);
+    }
+
+    /**
+     * Whether a result refers to a session whose drift exceeds the tolerance
+     */
+    hasDrift(result) {
+        return this.getDriftingSessions(result).length > 0;
+    }
+}
+
+// Global instance
+window.airtimeReconciler = new AirtimeReconciler();
@@ -0,0 +1,67 @@
+/**
+ * Analysis Utilities
+ * Timestamp, capture cadence, severity and HTML escaping helpers shared by the
+ * session checks and panels
+ */
+
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+
+class AnalysisUtils {
+    /**
+     * Parse a timestamp to milliseconds (null when missing or invalid)
+     */
+    toMillis(timestamp) {
+        if (!timestamp) return null;
+
+        const time = Date.parse(timestamp);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Median spacing of the screenshots in seconds
+     */
+    estimateFrameInterval(results) {
+        const times = results
+            .map(result => this.toMillis(result.screenshot?.timestamp))
+            .filter(time => time !== null)
+            .sort((a, b) => a - b);
+
+        const gaps = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] > times[i - 1]) {
+                gaps.push(times[i] - times[i - 1]);
+            }
+        }
+
+        if (gaps.length === 0) return 0;
+
+        gaps.sort((a, b) => a - b);
+        return gaps[Math.floor(gaps.length / 2)] / 1000;
+    }
+
+    /**
+     * Worst severity in a list of issues (null when there are none)
+     */
+    worstSeverity(issues) {
+        if (!issues || issues.length === 0) return null;
+
+        return issues.reduce((worst, issue) =>
+            SEVERITY_RANK[issue.severity] > SEVERITY_RANK[worst] ? issue.severity : worst, 'info');
+    }
+
+    /**
+     * Escape text for use in HTML content and quoted attribute values
+     * Names, IDs and notes come from loaded files, imported files and localStorage.
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Global instance
+window.analysisUtils = new AnalysisUtils();
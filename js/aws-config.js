@@ -8,6 +8,7 @@ class AWSConfigManager {
         this.credentials = null;
         this.bucketName = null;
         this.region = 'eu-west-1';
+        this.analysisPrefix = 'analysis/';
         this.isConfigured = false;
     }
 
@@ -136,6 +137,16 @@ class AWSConfigManager {
         }
     }
 
+    /**
+     * Set the S3 prefix under which analysis sessions are stored
+     * Layout: <prefix><platform>/<channel>/<date>/.../complete_analysis.json
+     */
+    setAnalysisPrefix(prefix) {
+        const trimmed = (prefix || '').trim().replace(/^\/+/, '');
+        this.analysisPrefix = trimmed && !trimmed.endsWith('/') ? trimmed + '/' : trimmed;
+        this.saveToLocalStorage();
+    }
+
     /**
      * Get current configuration
      */
@@ -143,6 +154,7 @@ class AWSConfigManager {
         return {
             bucketName: this.bucketName,
             region: this.region,
+            analysisPrefix: this.analysisPrefix,
             isConfigured: this.isConfigured
         };
     }
@@ -165,14 +177,15 @@ class AWSConfigManager {
         
         const config = {
             bucketName: this.bucketName,
-            region: this.region
+            region: this.region,
+            analysisPrefix: this.analysisPrefix
         };
         
         localStorage.setItem('aws_config', JSON.stringify(config));
     }
 
     /**
-     * Load bucket and region from localStorage (without credentials)
+     * Load bucket, region and analysis prefix from localStorage (without credentials)
      */
     loadFromLocalStorage() {
         try {
@@ -181,7 +194,8 @@ class AWSConfigManager {
                 const config = JSON.parse(saved);
                 return {
                     bucketName: config.bucketName || 'streameranalytics-staging',
-                    region: config.region || 'eu-west-1'
+                    region: config.region || 'eu-west-1',
+                    analysisPrefix: config.analysisPrefix ?? 'analysis/'
                 };
             }
         } catch (error) {
@@ -190,7 +204,8 @@ class AWSConfigManager {
         
         return {
             bucketName: 'streameranalytics-staging',
-            region: 'eu-west-1'
+            region: 'eu-west-1',
+            analysisPrefix: 'analysis/'
         };
     }
 }
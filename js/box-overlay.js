@@ -0,0 +1,115 @@
+/**
+ * Box Overlay
+ * Follows each ML bounding box through post-processing to the DB session it
+ * produced, and builds the labels and styles the screenshot overlay draws
+ */
+
+const OVERLAY_MODES = {
+    class: 'ML class',
+    confidence: 'ML class + confidence',
+    pipeline: 'ML → Post → DB'
+};
+const OVERLAY_DEFAULT_MODE = 'pipeline';
+
+// Box style by how far the detection got through the pipeline
+const OVERLAY_STATUSES = {
+    db: { color: null, dash: [] },
+    'no-db': { color: '#8b5cf6', dash: [8, 4] },
+    dropped: { color: '#9ca3af', dash: [3, 3] },
+    'no-post': { color: '#9ca3af', dash: [] }
+};
+
+const OVERLAY_COLORS = ['#4a9eff', '#6b5ce7', '#22c55e', '#f59e0b', '#ef4444'];
+
+class BoxOverlay {
+    constructor() {
+        this.mode = OVERLAY_DEFAULT_MODE;
+    }
+
+    /**
+     * Set the overlay mode (a key of OVERLAY_MODES)
+     */
+    setMode(mode) {
+        if (!OVERLAY_MODES[mode]) {
+            throw new Error(`Unknown overlay mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Map the ML boxes of a result to post-processed games and DB sessions
+     * ML classes map to post-processed games by game ID; games map to DB
+     * sessions by session ID, or by game identifier when no session ID was assigned.
+     */
+    mapBoxes(result) {
+        const post = result.postProcessed;
+        const postUsable = post && !post.error;
+        const sessions = result.dbSessions || [];
+
+        return (result.mlInference?.games || []).map((game, index) => {
+            const postGame = postUsable ? post.games.find(entry => entry.gameId === game.class) : null;
+            const session = postGame
+                ? sessions.find(entry => postGame.gameSessionId
+                    ? entry.gameSessionId === postGame.gameSessionId
+                    : entry.gameIdentifier === postGame.gameId)
+                : null;
+
+            let status = 'no-post';
+            if (postUsable) {
+                status = !postGame ? 'dropped' : session ? 'db' : 'no-db';
+            }
+
+            return {
+                index,
+                box: game.box,
+                class: game.class,
+                confidence: game.confidence,
+                gameId: postGame?.gameId ?? null,
+                gameSessionId: postGame?.gameSessionId ?? null,
+                dbGameName: session?.gameName ?? null,
+                dbSessionId: session?.gameSessionId ?? null,
+                status
+            };
+        });
+    }
+
+    /**
+     * Label lines of a mapped box in the current mode
+     */
+    getLabels(entry) {
+        const confidence = typeof entry.confidence === 'number'
+            ? ` ${(entry.confidence * 100).toFixed(0)}%`
+            : '';
+
+        if (this.mode === 'class') return [entry.class];
+        if (this.mode === 'confidence') return [entry.class + confidence];
+
+        const lines = [entry.class + confidence];
+        if (entry.status === 'dropped') {
+            lines.push('✕ dropped by post-processing');
+        } else if (entry.status === 'no-post') {
+            lines.push('? no post-processing output');
+        } else {
+            lines.push(`→ ${entry.gameId}`);
+            lines.push(entry.status === 'db' ? `→ DB: ${entry.dbGameName} · ${entry.dbSessionId}` : '✕ not in DB');
+        }
+        return lines;
+    }
+
+    /**
+     * Stroke color and dash pattern of a mapped box
+     * Only the pipeline mode styles boxes by status.
+     */
+    getStyle(entry) {
+        const gameColor = OVERLAY_COLORS[entry.index % OVERLAY_COLORS.length];
+        if (this.mode !== 'pipeline') {
+            return { color: gameColor, dash: [] };
+        }
+
+        const status = OVERLAY_STATUSES[entry.status];
+        return { color: status.color || gameColor, dash: status.dash };
+    }
+}
+
+// Global instance
+window.boxOverlay = new BoxOverlay();
@@ -0,0 +1,183 @@
+/**
+ * Canvas Zoom
+ * Zoom and pan state of the screenshot canvas: maps image pixels to canvas
+ * pixels and handles mouse-wheel zoom and drag-to-pan
+ */
+
+const ZOOM_MIN_SCALE = 0.05;
+const ZOOM_MAX_SCALE = 20;
+const ZOOM_WHEEL_STEP = 1.15;
+// Fraction of the canvas a zoomed-to bounding box fills
+const ZOOM_BOX_FILL = 0.8;
+
+class CanvasZoom {
+    constructor() {
+        // 'fit' follows the canvas size; 'manual' keeps the user's zoom and pan
+        this.mode = 'fit';
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.drag = null;
+    }
+
+    /**
+     * Listen for wheel and drag events on the canvas; onChange redraws it
+     */
+    attach(canvas, onChange) {
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.imageWidth) return;
+            e.preventDefault();
+
+            const point = this.toCanvasPoint(canvas, e);
+            this.zoomAt(point.x, point.y, e.deltaY < 0 ? ZOOM_WHEEL_STEP : 1 / ZOOM_WHEEL_STEP);
+            onChange();
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !this.imageWidth) return;
+            e.preventDefault();
+
+            this.drag = this.toCanvasPoint(canvas, e);
+            canvas.classList.add('dragging');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+
+            const point = this.toCanvasPoint(canvas, e);
+            this.pan(point.x - this.drag.x, point.y - this.drag.y);
+            this.drag = point;
+            onChange();
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.drag = null;
+            canvas.classList.remove('dragging');
+        });
+    }
+
+    /**
+     * Mouse position in canvas pixels (the canvas may be scaled by CSS)
+     */
+    toCanvasPoint(canvas, e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Use a new image; the view is kept when the size is unchanged
+     */
+    setImage(width, height) {
+        const resized = width !== this.imageWidth || height !== this.imageHeight;
+        this.imageWidth = width;
+        this.imageHeight = height;
+
+        if (resized || this.mode === 'fit') {
+            this.fit();
+        }
+    }
+
+    /**
+     * Use a new canvas size
+     */
+    setViewport(width, height) {
+        if (width === this.viewWidth && height === this.viewHeight) return;
+
+        this.viewWidth = width;
+        this.viewHeight = height;
+        if (this.mode === 'fit') {
+            this.fit();
+        }
+    }
+
+    /**
+     * Show the whole image centered in the canvas
+     */
+    fit() {
+        this.mode = 'fit';
+        if (!this.imageWidth || !this.viewWidth) return;
+
+        this.scale = Math.min(this.viewWidth / this.imageWidth, this.viewHeight / this.imageHeight);
+        this.offsetX = (this.viewWidth - this.imageWidth * this.scale) / 2;
+        this.offsetY = (this.viewHeight - this.imageHeight * this.scale) / 2;
+    }
+
+    /**
+     * One image pixel per canvas pixel, keeping the center of the view in place
+     */
+    actualSize() {
+        this.zoomAt(this.viewWidth / 2, this.viewHeight / 2, 1 / this.scale);
+    }
+
+    /**
+     * Switch between fit and 1:1
+     */
+    toggleFit() {
+        if (this.mode === 'fit') {
+            this.actualSize();
+        } else {
+            this.fit();
+        }
+    }
+
+    /**
+     * Zoom by a factor around a canvas point
+     */
+    zoomAt(x, y, factor) {
+        const scale = Math.min(ZOOM_MAX_SCALE, Math.max(ZOOM_MIN_SCALE, this.scale * factor));
+
+        // Keep the image pixel under (x, y) in place
+        this.offsetX = x - (x - this.offsetX) * (scale / this.scale);
+        this.offsetY = y - (y - this.offsetY) * (scale / this.scale);
+        this.scale = scale;
+        this.mode = 'manual';
+    }
+
+    /**
+     * Zoom so a bounding box [x1, y1, x2, y2] in image pixels fills the canvas
+     */
+    zoomToBox(box) {
+        const [x1, y1, x2, y2] = box;
+        const width = Math.max(1, x2 - x1);
+        const height = Math.max(1, y2 - y1);
+
+        this.scale = Math.min(ZOOM_MAX_SCALE, Math.max(ZOOM_MIN_SCALE,
+            Math.min(this.viewWidth / width, this.viewHeight / height) * ZOOM_BOX_FILL));
+        this.offsetX = this.viewWidth / 2 - (x1 + width / 2) * this.scale;
+        this.offsetY = this.viewHeight / 2 - (y1 + height / 2) * this.scale;
+        this.mode = 'manual';
+    }
+
+    /**
+     * Move the image by a distance in canvas pixels
+     */
+    pan(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.mode = 'manual';
+    }
+
+    /**
+     * Set a 2D context to draw in image pixels
+     */
+    applyTo(ctx) {
+        ctx.setTransform(this.scale, 0, 0, this.scale, this.offsetX, this.offsetY);
+    }
+
+    /**
+     * Zoom level for display
+     */
+    describe() {
+        return `${Math.round(this.scale * 100)}%`;
+    }
+}
+
+// Global instance
+window.canvasZoom = new CanvasZoom();
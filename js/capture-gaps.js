@@ -0,0 +1,99 @@
+/**
+ * Capture Gap Detector
+ * Detects the screenshot capture cadence and finds periods without captures
+ * and screenshots sharing a timestamp
+ */
+
+// A gap longer than this many capture intervals means captures were missed
+const CAPTURE_GAP_FACTOR = 2;
+
+class CaptureGapDetector {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget the previous analysis
+     */
+    reset() {
+        this.cadence = 0;
+        this.gaps = [];
+        this.duplicates = [];
+        this.duplicateResults = new Set();
+    }
+
+    /**
+     * Analyze all results (timeline order)
+     */
+    analyze(results) {
+        const frames = results
+            .map(result => ({ result, time: Date.parse(result.screenshot?.timestamp) }))
+            .filter(frame => !isNaN(frame.time))
+            .sort((a, b) => a.time - b.time);
+
+        this.reset();
+        this.cadence = window.analysisUtils.estimateFrameInterval(results);
+
+        for (let i = 1; i < frames.length; i++) {
+            const previous = frames[i - 1];
+            const frame = frames[i];
+            const gap = (frame.time - previous.time) / 1000;
+
+            if (gap === 0) {
+                this.addDuplicate(previous, frame);
+            } else if (this.cadence > 0 && gap > this.cadence * CAPTURE_GAP_FACTOR) {
+                this.gaps.push({
+                    startIndex: previous.result.index,
+                    endIndex: frame.result.index,
+                    start: previous.result.screenshot.timestamp,
+                    end: frame.result.screenshot.timestamp,
+                    startTime: previous.time,
+                    endTime: frame.time,
+                    duration: gap,
+                    missedCaptures: Math.round(gap / this.cadence) - 1
+                });
+            }
+        }
+
+        return {
+            cadence: this.cadence,
+            gaps: this.gaps,
+            duplicates: this.duplicates
+        };
+    }
+
+    /**
+     * Group screenshots that share a timestamp
+     */
+    addDuplicate(previous, frame) {
+        const last = this.duplicates[this.duplicates.length - 1];
+        if (last && last.time === frame.time) {
+            last.indices.push(frame.result.index);
+        } else {
+            this.duplicates.push({
+                timestamp: frame.result.screenshot.timestamp,
+                time: frame.time,
+                indices: [previous.result.index, frame.result.index]
+            });
+            this.duplicateResults.add(previous.result);
+        }
+        this.duplicateResults.add(frame.result);
+    }
+
+    /**
+     * Whether a result shares its timestamp with another
+     */
+    isDuplicate(result) {
+        return this.duplicateResults.has(result);
+    }
+
+    /**
+     * Total time without captures (seconds)
+     */
+    getMissingTime() {
+        return this.gaps.reduce((sum, gap) => sum + gap.duration - this.cadence, 0);
+    }
+}
+
+// Global instance
+window.captureGapDetector = new CaptureGapDetector();
@@ -79,6 +79,7 @@ class ComparisonDisplay {
                                 [${game.box.map(v => v.toFixed(1)).join(', ')}]
                             </span>
                         </div>
+                        <button class="btn-secondary zoom-to-box" data-game="${index}">Zoom to box</button>
                         ` : ''}
                     </div>
                 </div>
@@ -86,6 +87,12 @@ class ComparisonDisplay {
         });
 
         contentDiv.innerHTML = html;
+
+        contentDiv.querySelectorAll('.zoom-to-box').forEach(button => {
+            button.addEventListener('click', () => {
+                window.screenshotViewer.zoomToBox(mlInference.games[Number(button.dataset.game)].box);
+            });
+        });
     }
 
     /**
@@ -213,6 +220,7 @@ class ComparisonDisplay {
                                 <span class="airtime-highlight">${airtimeFormatted} (${session.trueAirtime}s)</span>
                             </span>
                         </div>
+                        ${this.renderAirtimeEstimate(session)}
                         <div class="detail-row">
                             <span class="detail-label">Start:</span>
                             <span class="detail-value" style="font-size: 0.85rem;">${this.formatTime(session.startTime)}</span>
@@ -245,6 +253,23 @@ class ComparisonDisplay {
         contentDiv.innerHTML = html;
     }
 
+    /**
+     * Render the screenshot-based airtime estimate for a DB session
+     */
+    renderAirtimeEstimate(session) {
+        const entry = window.airtimeReconciler.sessionsById.get(session.gameSessionId);
+        if (!entry) return '';
+
+        return `
+            <div class="detail-row">
+                <span class="detail-label">Screenshot Estimate:</span>
+                <span class="detail-value ${entry.exceeds ? 'airtime-drift' : ''}">
+                    ${window.discrepancyManager.formatAirtime(entry.estimatedAirtime)} (drift ${window.discrepancyManager.formatDrift(entry.airtimeDrift)})
+                </span>
+            </div>
+        `;
+    }
+
     /**
      * Update status badges
      */
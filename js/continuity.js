@@ -0,0 +1,311 @@
+/**
+ * Continuity Analyzer
+ * Follows each game identifier across the whole session and flags game
+ * sessions that were split, merged, re-opened or left open
+ */
+
+// Thresholds in seconds
+const CONTINUITY_DEFAULTS = {
+    // Longest gap between detections that still counts as continuous play
+    continuityGap: 30,
+    // A new session within this long after the game disappeared is a re-open
+    reopenWindow: 300,
+    // How long a session may stay open after the game was last seen
+    openTolerance: 60
+};
+
+const CONTINUITY_TITLES = {
+    split: 'Split Session',
+    reopened: 'Re-opened Session',
+    merged: 'Merged Session',
+    'left-open': 'Session Left Open'
+};
+
+class ContinuityAnalyzer {
+    constructor() {
+        this.params = { ...CONTINUITY_DEFAULTS };
+        this.findings = [];
+        this.findingsByResult = new Map();
+    }
+
+    /**
+     * Analyze all results (timeline order)
+     */
+    run(results) {
+        this.findings = [];
+        this.findingsByResult = new Map();
+
+        // Continuous play must survive at least a couple of missed screenshots
+        const frameInterval = window.analysisUtils.estimateFrameInterval(results);
+        const continuityGap = Math.max(this.params.continuityGap, frameInterval * 2.5);
+
+        const tracks = this.buildTracks(results);
+
+        tracks.forEach((frames, gameId) => {
+            const runs = this.splitIntoRuns(frames, continuityGap);
+            runs.forEach(run => this.checkSplits(gameId, run, results));
+            this.checkRunBoundaries(gameId, runs, results);
+        });
+
+        this.checkSharedSessions(tracks, results);
+        this.checkOpenSessions(tracks, results);
+
+        this.findings.forEach((finding, id) => {
+            finding.id = id;
+            finding.title = CONTINUITY_TITLES[finding.type];
+            finding.frames.forEach(frame => {
+                const result = results[frame.position];
+                if (!this.findingsByResult.has(result)) {
+                    this.findingsByResult.set(result, []);
+                }
+                this.findingsByResult.get(result).push(finding);
+            });
+        });
+
+        return this.findings;
+    }
+
+    /**
+     * Frames in which each game was post-processed, with the post-processing
+     * and DB session IDs recorded for it in that frame
+     */
+    buildTracks(results) {
+        const tracks = new Map();
+
+        results.forEach((result, position) => {
+            const time = window.analysisUtils.toMillis(result.screenshot?.timestamp);
+            const byGame = new Map();
+
+            (result.postProcessed?.games || []).forEach(game => {
+                if (!game.gameId) return;
+                if (!byGame.has(game.gameId)) {
+                    byGame.set(game.gameId, { sessionIds: new Set(), detectedIds: new Set() });
+                }
+                if (game.gameSessionId) {
+                    byGame.get(game.gameId).sessionIds.add(game.gameSessionId);
+                    byGame.get(game.gameId).detectedIds.add(game.gameSessionId);
+                }
+            });
+
+            // DB sessions of a visible game show how the DB recorded that frame
+            (result.dbSessions || []).forEach(session => {
+                const ids = byGame.get(session.gameIdentifier);
+                if (ids && session.gameSessionId) {
+                    ids.sessionIds.add(session.gameSessionId);
+                }
+            });
+
+            byGame.forEach((ids, gameId) => {
+                if (!tracks.has(gameId)) {
+                    tracks.set(gameId, []);
+                }
+                tracks.get(gameId).push({ position, time, ...ids });
+            });
+        });
+
+        return tracks;
+    }
+
+    /**
+     * Group a game's frames into runs of continuous detection
+     */
+    splitIntoRuns(frames, continuityGap) {
+        const runs = [];
+        let run = null;
+
+        frames.forEach(frame => {
+            const previous = run ? run[run.length - 1] : null;
+            const gap = previous && frame.time !== null && previous.time !== null
+                ? (frame.time - previous.time) / 1000
+                : 0;
+
+            if (!previous || gap > continuityGap) {
+                run = [];
+                runs.push(run);
+            }
+            run.push(frame);
+        });
+
+        return runs;
+    }
+
+    /**
+     * Split: the session ID changes while the game is continuously visible
+     */
+    checkSplits(gameId, run, results) {
+        const sessionIds = new Set();
+        const boundaries = [];
+
+        run.forEach((frame, i) => {
+            frame.sessionIds.forEach(id => sessionIds.add(id));
+
+            const previous = run[i - 1];
+            if (previous && this.isNewSession(previous.sessionIds, frame.sessionIds)) {
+                boundaries.push(previous, frame);
+            }
+        });
+
+        if (boundaries.length === 0) return;
+
+        this.findings.push({
+            type: 'split',
+            severity: 'error',
+            gameId,
+            sessionIds: [...sessionIds],
+            message: `${gameId} was visible without interruption but recorded as ${sessionIds.size} sessions`,
+            frames: this.describeFrames(boundaries, results)
+        });
+    }
+
+    /**
+     * Re-opened: a new session shortly after the game disappeared
+     * Merged: the same session continues after a long absence
+     */
+    checkRunBoundaries(gameId, runs, results) {
+        for (let i = 1; i < runs.length; i++) {
+            const before = runs[i - 1][runs[i - 1].length - 1];
+            const after = runs[i][0];
+            if (before.time === null || after.time === null) continue;
+
+            const gap = (after.time - before.time) / 1000;
+            const shared = [...after.sessionIds].filter(id => before.sessionIds.has(id));
+            const involved = [...new Set([...before.sessionIds, ...after.sessionIds])];
+
+            if (gap <= this.params.reopenWindow && this.isNewSession(before.sessionIds, after.sessionIds)) {
+                this.findings.push({
+                    type: 'reopened',
+                    severity: 'warning',
+                    gameId,
+                    sessionIds: involved,
+                    message: `${gameId} disappeared for ${window.discrepancyManager.formatAirtime(gap)} and came back as a new session`,
+                    frames: this.describeFrames([before, after], results)
+                });
+            } else if (gap > this.params.reopenWindow && shared.length > 0) {
+                this.findings.push({
+                    type: 'merged',
+                    severity: 'warning',
+                    gameId,
+                    sessionIds: shared,
+                    message: `${gameId} was gone for ${window.discrepancyManager.formatAirtime(gap)} but both appearances share one session`,
+                    frames: this.describeFrames([before, after], results)
+                });
+            }
+        }
+    }
+
+    /**
+     * Merged: one session ID used for different games
+     */
+    checkSharedSessions(tracks, results) {
+        const gamesBySession = new Map();
+
+        tracks.forEach((frames, gameId) => {
+            frames.forEach(frame => {
+                frame.sessionIds.forEach(id => {
+                    if (!gamesBySession.has(id)) {
+                        gamesBySession.set(id, new Map());
+                    }
+                    const games = gamesBySession.get(id);
+                    if (!games.has(gameId)) {
+                        games.set(gameId, frame);
+                    }
+                });
+            });
+        });
+
+        gamesBySession.forEach((games, sessionId) => {
+            if (games.size < 2) return;
+
+            this.findings.push({
+                type: 'merged',
+                severity: 'error',
+                gameId: [...games.keys()].join(', '),
+                sessionIds: [sessionId],
+                message: `Session is used for ${games.size} different games`,
+                frames: this.describeFrames([...games.values()], results)
+            });
+        });
+    }
+
+    /**
+     * Left open: a DB session ends (or is still open) well after the game was last seen
+     */
+    checkOpenSessions(tracks, results) {
+        const lastTime = results.reduce((max, result) =>
+            Math.max(max, window.analysisUtils.toMillis(result.screenshot?.timestamp) ?? -Infinity), -Infinity);
+
+        // Latest DB record of each session
+        const dbSessions = new Map();
+        results.forEach(result => {
+            (result.dbSessions || []).forEach(session => dbSessions.set(session.gameSessionId, session));
+        });
+
+        dbSessions.forEach(session => {
+            // Only post-processed detections count as seeing the game
+            const frames = (tracks.get(session.gameIdentifier) || [])
+                .filter(frame => frame.detectedIds.has(session.gameSessionId));
+            if (frames.length === 0) return;
+
+            const lastSeen = frames[frames.length - 1];
+            if (lastSeen.time === null) return;
+
+            const end = session.endTime ? window.analysisUtils.toMillis(session.endTime) : lastTime;
+            if (end === null) return;
+
+            const overrun = (end - lastSeen.time) / 1000;
+            if (overrun <= this.params.openTolerance) return;
+
+            const next = results[lastSeen.position + 1];
+            const boundary = next
+                ? [lastSeen, { position: lastSeen.position + 1 }]
+                : [lastSeen];
+
+            this.findings.push({
+                type: 'left-open',
+                severity: session.endTime ? 'warning' : 'error',
+                gameId: session.gameIdentifier,
+                sessionIds: [session.gameSessionId],
+                message: session.endTime
+                    ? `Session ended ${window.discrepancyManager.formatAirtime(overrun)} after the game was last seen`
+                    : `Session is still open ${window.discrepancyManager.formatAirtime(overrun)} after the game was last seen`,
+                frames: this.describeFrames(boundary, results)
+            });
+        });
+    }
+
+    /**
+     * Whether the later frame carries a session ID the earlier one did not
+     */
+    isNewSession(previousIds, currentIds) {
+        if (previousIds.size === 0 || currentIds.size === 0) return false;
+        return [...currentIds].some(id => !previousIds.has(id));
+    }
+
+    /**
+     * Screenshot links for a list of frames
+     */
+    describeFrames(frames, results) {
+        const seen = new Set();
+
+        return frames
+            .filter(frame => !seen.has(frame.position) && seen.add(frame.position))
+            .map(frame => {
+                const result = results[frame.position];
+                return {
+                    position: frame.position,
+                    index: result.index,
+                    timestamp: result.screenshot?.timestamp || null
+                };
+            });
+    }
+
+    /**
+     * Findings whose boundary includes a result
+     */
+    getFindingsAt(result) {
+        return this.findingsByResult.get(result) || [];
+    }
+}
+
+// Global instance
+window.continuityAnalyzer = new ContinuityAnalyzer();
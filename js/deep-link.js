@@ -0,0 +1,158 @@
+/**
+ * Deep Link
+ * Keeps the loaded S3 session, current screenshot, filters and overlay
+ * settings in the URL hash, and reads them back from a shared link
+ *
+ *   #bucket=b&session=<s3 key>&i=42&filter=onlyDiscrepancies&cause=flicker&q=game%20%3D%20X&boxes=1
+ */
+
+// Boolean viewer filter criteria, listed in the hash as "filter=<name>"
+const DEEP_LINK_FLAGS = [
+    'onlyDiscrepancies', 'mlVsPost', 'postVsDb', 'missingInDb', 'extraInDb',
+    'flagMismatch', 'simulatorDiff', 'airtimeDrift', 'gameCountIssue'
+];
+
+// Hash parameter -> select-valued viewer filter criterion
+const DEEP_LINK_SELECTS = {
+    cause: 'mismatchCause',
+    rule: 'rule',
+    review: 'reviewStatus'
+};
+
+// Every hash parameter of a link; a hash with none of them is not a link
+const DEEP_LINK_PARAMS = [
+    'bucket', 'session', 'i', 'filter', ...Object.keys(DEEP_LINK_SELECTS), 'q', 'boxes', 'overlay', 'highlight'
+];
+
+class DeepLink {
+    constructor() {
+        // Link read from the URL that has not been opened yet
+        this.pending = null;
+        // S3 source of the loaded session (null for local files)
+        this.source = null;
+        // Text of the applied query (the viewer only keeps the compiled condition)
+        this.query = '';
+        // Set while a link is being restored, so intermediate states are not written
+        this.restoring = false;
+    }
+
+    /**
+     * Read a link from a URL hash
+     * Returns null when the hash holds no link parameter (e.g. an unrelated "#section" anchor).
+     */
+    parse(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!DEEP_LINK_PARAMS.some(name => params.has(name))) return null;
+
+        const index = params.has('i') ? parseInt(params.get('i'), 10) : null;
+        const filters = {};
+        DEEP_LINK_FLAGS.forEach(name => {
+            filters[name] = params.getAll('filter').includes(name);
+        });
+        Object.entries(DEEP_LINK_SELECTS).forEach(([param, name]) => {
+            filters[name] = params.get(param) || '';
+        });
+
+        return {
+            bucket: params.get('bucket') || null,
+            keys: params.getAll('session'),
+            index: Number.isInteger(index) ? index : null,
+            filters,
+            query: params.get('q') || '',
+            overlay: {
+                boxes: params.get('boxes') === '1',
+                mode: params.get('overlay') || OVERLAY_DEFAULT_MODE,
+                highlight: params.get('highlight') !== '0'
+            }
+        };
+    }
+
+    /**
+     * Build the URL hash of a link
+     * Defaults (no filter, boxes off, highlighting on) are left out to keep links short.
+     */
+    build(link) {
+        const params = new URLSearchParams();
+
+        if (link.keys.length > 0) {
+            if (link.bucket) params.set('bucket', link.bucket);
+            link.keys.forEach(key => params.append('session', key));
+        }
+        if (link.index !== null) params.set('i', link.index);
+
+        DEEP_LINK_FLAGS.forEach(name => {
+            if (link.filters[name]) params.append('filter', name);
+        });
+        Object.entries(DEEP_LINK_SELECTS).forEach(([param, name]) => {
+            if (link.filters[name]) params.set(param, link.filters[name]);
+        });
+        if (link.query) params.set('q', link.query);
+
+        if (link.overlay.boxes) params.set('boxes', '1');
+        if (link.overlay.mode !== OVERLAY_DEFAULT_MODE) params.set('overlay', link.overlay.mode);
+        if (!link.overlay.highlight) params.set('highlight', '0');
+
+        return params.toString();
+    }
+
+    /**
+     * Link of what the viewer currently shows
+     */
+    capture() {
+        const viewer = window.screenshotViewer;
+        const current = viewer.getCurrentResult();
+
+        return {
+            bucket: this.source?.bucket || null,
+            keys: this.source?.keys || [],
+            index: current ? current.index : null,
+            filters: { ...viewer.filterCriteria },
+            query: this.query,
+            overlay: {
+                boxes: viewer.showBoundingBoxes,
+                mode: window.boxOverlay.mode,
+                highlight: document.getElementById('highlightDiscrepancies').checked
+            }
+        };
+    }
+
+    /**
+     * Whether a link points at the session that is loaded
+     */
+    isLoaded(link) {
+        return Boolean(this.source) &&
+            this.source.bucket === link.bucket &&
+            this.source.keys.join('\n') === link.keys.join('\n');
+    }
+
+    /**
+     * Remember the loaded session; only S3 sessions can be linked
+     */
+    setSource(source) {
+        this.source = source?.type === 's3' ? { bucket: source.bucket, keys: [...source.keys] } : null;
+    }
+
+    /**
+     * Remember the text of the applied query
+     */
+    setQuery(text) {
+        this.query = text.trim();
+    }
+
+    /**
+     * Write the current view to the URL hash
+     * Uses replaceState, so navigating does not fill the browser history.
+     */
+    sync() {
+        if (this.restoring) return;
+
+        const hash = this.build(this.capture());
+        const url = location.pathname + location.search + (hash ? '#' + hash : '');
+        if (url !== location.pathname + location.search + location.hash) {
+            history.replaceState(null, '', url);
+        }
+    }
+}
+
+// Global instance
+window.deepLink = new DeepLink();
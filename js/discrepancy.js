@@ -32,6 +32,33 @@ class DiscrepancyManager {
             discrepancies.push(this.analyzeExtraInDb(result));
         }
 
+        if (result.flagMismatches && result.flagMismatches.length > 0) {
+            discrepancies.push(this.analyzeFlagMismatch(result));
+        }
+
+        if (result.ruleMatches && result.ruleMatches.length > 0) {
+            discrepancies.push(this.analyzeRuleMatches(result));
+        }
+
+        const continuityFindings = window.continuityAnalyzer.getFindingsAt(result);
+        if (continuityFindings.length > 0) {
+            discrepancies.push(this.analyzeContinuity(continuityFindings));
+        }
+
+        const driftingSessions = window.airtimeReconciler.getDriftingSessions(result);
+        if (driftingSessions.length > 0) {
+            discrepancies.push(this.analyzeAirtimeDrift(driftingSessions));
+        }
+
+        const countIssues = window.gameCountChecker.getIssuesAt(result);
+        if (countIssues.length > 0) {
+            discrepancies.push(this.analyzeGameCounts(countIssues));
+        }
+
+        if (result.schemaIssues && result.schemaIssues.length > 0) {
+            discrepancies.push(this.analyzeSchemaIssues(result));
+        }
+
         return discrepancies;
     }
 
@@ -46,7 +73,7 @@ class DiscrepancyManager {
         let severity = 'warning';
 
         if (mlGames > postGames) {
-            description = `ML detected ${mlGames} game(s), but post-processing filtered down to ${postGames}. This is normal for sliding window logic building up threshold.`;
+            description = `ML detected ${mlGames} game(s), but post-processing filtered down to ${postGames}.`;
             severity = 'info';
         } else if (mlGames < postGames) {
             description = `ML detected ${mlGames} game(s), but post-processing returned ${postGames}. This should not happen!`;
@@ -56,11 +83,30 @@ class DiscrepancyManager {
             severity = 'warning';
         }
 
+        // Severity follows the likely cause rather than the game counts
+        const cause = window.mismatchClassifier.describe(result.mismatchCause);
+        if (cause) {
+            description += ` Likely cause: ${cause.label}. ${cause.description}`;
+            severity = cause.severity;
+        }
+
+        // Compare with what the configured sliding window would produce
+        const prediction = window.windowSimulator.getPrediction(result);
+        if (prediction && prediction.actual) {
+            if (prediction.differs) {
+                description += ` Sliding window simulation (${window.windowSimulator.describeParams()}) predicts ${prediction.predicted.join(', ') || 'no games'} for this frame, which differs from post-processing.`;
+                severity = severity === 'info' ? 'warning' : severity;
+            } else {
+                description += ` Sliding window simulation (${window.windowSimulator.describeParams()}) predicts the same output, so the window behaved as modelled.`;
+            }
+        }
+
         return {
             type: 'ml-vs-post',
             title: 'ML API vs Post-Processing Mismatch',
             description: description,
             severity: severity,
+            cause: result.mismatchCause,
             details: {
                 mlGames: result.mlInference?.games || [],
                 postGames: result.postProcessed?.games || [],
@@ -134,6 +180,107 @@ class DiscrepancyManager {
         };
     }
 
+    /**
+     * Analyze disagreement between the pipeline's flags and the recomputed ones
+     */
+    analyzeFlagMismatch(result) {
+        const mismatches = result.flagMismatches;
+
+        return {
+            type: 'flag-mismatch',
+            title: 'Flag Mismatch',
+            description: `${mismatches.length} discrepancy flag(s) written by the pipeline disagree with the flags recomputed from the ML, post-processing and DB data. This points at a bug in the pipeline's flagging step.`,
+            severity: 'error',
+            details: {
+                mismatches: mismatches
+            }
+        };
+    }
+
+    /**
+     * Analyze user-defined rules the result matches
+     */
+    analyzeRuleMatches(result) {
+        const matches = result.ruleMatches;
+
+        return {
+            type: 'rule',
+            title: 'Rule Match',
+            description: `This result matches ${matches.length} user-defined rule(s): ${matches.map(match => match.name).join(', ')}.`,
+            severity: window.analysisUtils.worstSeverity(matches),
+            details: {
+                matches: matches.map(match => ({
+                    ...match,
+                    description: window.rulesEngine.getRule(match.name)?.description || ''
+                }))
+            }
+        };
+    }
+
+    /**
+     * Analyze session continuity findings at a session boundary
+     */
+    analyzeContinuity(findings) {
+        return {
+            type: 'session-continuity',
+            title: 'Session Continuity',
+            description: `This screenshot is at the boundary of ${findings.length} game session continuity finding(s).`,
+            severity: window.analysisUtils.worstSeverity(findings),
+            details: {
+                findings: findings
+            }
+        };
+    }
+
+    /**
+     * Analyze DB sessions whose airtime drifts from the screenshot estimate
+     */
+    analyzeAirtimeDrift(sessions) {
+        const tolerance = window.airtimeReconciler.tolerance;
+
+        return {
+            type: 'airtime-drift',
+            title: 'Airtime Drift',
+            description: `${sessions.length} DB session(s) in this frame have a true_airtime more than ${tolerance}s away from the airtime seen in the screenshots.`,
+            severity: 'error',
+            details: {
+                sessions: sessions
+            }
+        };
+    }
+
+    /**
+     * Analyze db_game_counts rows that do not line up with the screenshot
+     */
+    analyzeGameCounts(issues) {
+        return {
+            type: 'game-count',
+            title: 'Game Count Alignment',
+            description: `${issues.length} db_game_counts problem(s) for this screenshot: the rows written around this moment do not match the post-processed games.`,
+            severity: window.analysisUtils.worstSeverity(issues),
+            details: {
+                issues: issues
+            }
+        };
+    }
+
+    /**
+     * Analyze schema validation issues of the raw result entry
+     */
+    analyzeSchemaIssues(result) {
+        const issues = result.schemaIssues;
+
+        return {
+            type: 'schema-invalid',
+            title: 'Schema Validation Issues',
+            description: `${issues.length} field(s) in this result do not match the analysis schema. Values shown may be defaults filled in by the loader.`,
+            severity: window.analysisUtils.worstSeverity(issues),
+            details: {
+                issues: issues
+            }
+        };
+    }
+
     /**
      * Render discrepancy alert
      */
@@ -171,6 +318,10 @@ class DiscrepancyManager {
         let html = '<div style="margin-top: 10px; font-size: 0.9rem;">';
 
         if (discrepancy.type === 'ml-vs-post') {
+            const cause = window.mismatchClassifier.describe(discrepancy.cause);
+            if (cause) {
+                html += `<div><strong>Likely Cause:</strong> <span class="severity-${cause.severity}">${cause.label}</span></div>`;
+            }
             if (discrepancy.details.slidingWindowState.length > 0) {
                 html += `<div><strong>Sliding Window:</strong> ${discrepancy.details.slidingWindowState.join(', ')}</div>`;
             }
@@ -184,6 +335,58 @@ class DiscrepancyManager {
             html += '</ul>';
         }
 
+        if (discrepancy.type === 'flag-mismatch') {
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.mismatches.forEach(mismatch => {
+                html += `<li><code>${mismatch.flag}</code>: pipeline ${mismatch.pipeline}, recomputed ${mismatch.recomputed}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (discrepancy.type === 'rule') {
+            // Rule names and descriptions come from imported rule files
+            const escape = text => window.analysisUtils.escapeHtml(text);
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.matches.forEach(match => {
+                html += `<li><span class="severity-${match.severity}">${match.severity}</span> <strong>${escape(match.name)}</strong>${match.description ? `: ${escape(match.description)}` : ''}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (discrepancy.type === 'session-continuity') {
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.findings.forEach(finding => {
+                html += `<li><strong>${finding.title}</strong> ${finding.gameId}: ${finding.message} (${finding.sessionIds.join(', ')})</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (discrepancy.type === 'airtime-drift') {
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.sessions.forEach(entry => {
+                html += `<li>${entry.gameName || entry.gameIdentifier} (${entry.gameSessionId}): expected ${entry.estimatedAirtime.toFixed(0)}s from ${entry.frameCount} screenshot(s), DB has ${entry.dbAirtime}s (drift ${this.formatDrift(entry.airtimeDrift)})</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (discrepancy.type === 'game-count') {
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.issues.forEach(issue => {
+                html += `<li><span class="severity-${issue.severity}">${issue.title}</span> ${issue.message}` +
+                    (issue.timestamps.length > 0 ? ` (${issue.timestamps.map(t => this.formatTimestamp(t)).join(', ')})` : '') +
+                    '</li>';
+            });
+            html += '</ul>';
+        }
+
+        if (discrepancy.type === 'schema-invalid') {
+            html += '<ul style="margin-left: 20px;">';
+            discrepancy.details.issues.forEach(issue => {
+                html += `<li><span class="severity-${issue.severity}">${issue.severity}</span> <code>${issue.path}</code>: ${issue.message}</li>`;
+            });
+            html += '</ul>';
+        }
+
         if (discrepancy.type === 'extra-in-db' && discrepancy.details.extraSessions.length > 0) {
             html += '<div><strong>Extra Sessions:</strong></div><ul style="margin-left: 20px;">';
             discrepancy.details.extraSessions.forEach(session => {
@@ -249,6 +452,16 @@ class DiscrepancyManager {
         return parts.join(' ');
     }
 
+    /**
+     * Format a signed drift in seconds
+     */
+    formatDrift(seconds) {
+        if (seconds === null || seconds === undefined) return 'N/A';
+
+        const sign = seconds > 0 ? '+' : seconds < 0 ? '-' : '';
+        return `${sign}${this.formatAirtime(Math.abs(seconds))}`;
+    }
+
     /**
      * Format timestamp
      */
@@ -0,0 +1,74 @@
+/**
+ * Flag Verifier
+ * Recomputes the pipeline's discrepancy flags from the stage outputs and
+ * reports where the written flags disagree
+ */
+
+const VERIFIED_FLAGS = ['ml_vs_postprocessing', 'postprocessing_vs_db', 'missing_in_db', 'extra_in_db'];
+
+class FlagVerifier {
+    constructor() {
+        this.flags = VERIFIED_FLAGS;
+    }
+
+    /**
+     * Recompute the discrepancy flags of a parsed result
+     * A flag is null when the stages it depends on are missing or reported an error.
+     */
+    recompute(result) {
+        const ml = result.mlInference;
+        const post = result.postProcessed;
+        const dbSessions = result.dbSessions || [];
+        const usable = stage => stage && !stage.error;
+
+        const flags = {
+            ml_vs_postprocessing: null,
+            postprocessing_vs_db: null,
+            missing_in_db: null,
+            extra_in_db: null
+        };
+
+        if (usable(ml) && usable(post)) {
+            flags.ml_vs_postprocessing = ml.numberOfGames !== post.gameCount ||
+                !this.sameIds(ml.games.map(game => game.class), post.games.map(game => game.gameId));
+        }
+
+        if (usable(post)) {
+            const postSessionIds = new Set(post.games.map(game => game.gameSessionId));
+            const dbSessionIds = new Set(dbSessions.map(session => session.gameSessionId));
+
+            flags.postprocessing_vs_db = post.gameCount !== dbSessions.length;
+            flags.missing_in_db = [...postSessionIds].some(id => !dbSessionIds.has(id));
+            flags.extra_in_db = [...dbSessionIds].some(id => !postSessionIds.has(id));
+        }
+
+        return flags;
+    }
+
+    /**
+     * List the flags where the pipeline and the recomputed value disagree
+     */
+    verify(result) {
+        const recomputed = this.recompute(result);
+        const written = result.discrepancyFlags || {};
+
+        return this.flags
+            .filter(flag => recomputed[flag] !== null && recomputed[flag] !== Boolean(written[flag]))
+            .map(flag => ({
+                flag: flag,
+                pipeline: Boolean(written[flag]),
+                recomputed: recomputed[flag]
+            }));
+    }
+
+    /**
+     * Whether two id lists contain the same ids
+     */
+    sameIds(first, second) {
+        const ids = new Set(first);
+        return ids.size === new Set(second).size && second.every(id => ids.has(id));
+    }
+}
+
+// Global instance
+window.flagVerifier = new FlagVerifier();
@@ -0,0 +1,150 @@
+/**
+ * Game Count Checker
+ * Matches each screenshot's post-processed games to the db_game_counts rows
+ * the DB should have written for that moment
+ */
+
+// How far (seconds) a count row may be from the screenshot timestamp
+const DEFAULT_COUNT_TOLERANCE = 5;
+
+const GAME_COUNT_ISSUES = {
+    missing: { title: 'Missing Count Row', severity: 'error' },
+    duplicate: { title: 'Duplicated Count Row', severity: 'warning' },
+    'wrong-game': { title: 'Wrong-Game Count Row', severity: 'error' }
+};
+
+class GameCountChecker {
+    constructor() {
+        this.tolerance = DEFAULT_COUNT_TOLERANCE;
+        this.issuesByResult = new Map();
+        this.games = [];
+        this.totals = {};
+    }
+
+    /**
+     * Set the allowed timestamp offset in seconds
+     */
+    setTolerance(seconds) {
+        this.tolerance = Math.max(0, Number(seconds) || 0);
+        return this.tolerance;
+    }
+
+    /**
+     * Check every result (timeline order) and summarize per game
+     */
+    run(results) {
+        const games = new Map();
+        const gameEntry = (gameId) => {
+            if (!games.has(gameId)) {
+                games.set(gameId, { gameId, expected: 0, missing: 0, duplicate: 0, 'wrong-game': 0, firstIssueIndex: null });
+            }
+            return games.get(gameId);
+        };
+
+        this.issuesByResult = new Map();
+        this.totals = { checked: 0, missing: 0, duplicate: 0, 'wrong-game': 0 };
+
+        results.forEach(result => {
+            const issues = this.checkResult(result);
+            if (issues === null) return;
+
+            this.totals.checked++;
+            result.postProcessed.games.forEach(game => gameEntry(game.gameId).expected++);
+
+            issues.forEach(issue => {
+                const entry = gameEntry(issue.gameId);
+                entry[issue.kind]++;
+                if (entry.firstIssueIndex === null) {
+                    entry.firstIssueIndex = result.index;
+                }
+                this.totals[issue.kind]++;
+            });
+
+            if (issues.length > 0) {
+                this.issuesByResult.set(result, issues);
+            }
+        });
+
+        this.games = [...games.values()].sort((a, b) => String(a.gameId).localeCompare(String(b.gameId)));
+        return this.totals;
+    }
+
+    /**
+     * Compare a result's post-processed games with the count rows near its timestamp
+     * Returns null when the result has no post-processing output or timestamp to check.
+     */
+    checkResult(result) {
+        const post = result.postProcessed;
+        const time = window.analysisUtils.toMillis(result.screenshot?.timestamp);
+        if (!post || post.error || time === null) return null;
+
+        const rows = (result.dbGameCounts || []).filter(row => {
+            const rowTime = window.analysisUtils.toMillis(row.timestamp);
+            return rowTime !== null && Math.abs(rowTime - time) <= this.tolerance * 1000;
+        });
+        const used = new Set();
+        const issues = [];
+
+        post.games.forEach(game => {
+            // Rows belong to a game through its session ID when post-processing assigned one
+            const matching = rows.filter(row => game.gameSessionId
+                ? row.gameSessionId === game.gameSessionId
+                : row.gameIdentifier === game.gameId);
+            const correct = matching.filter(row => row.gameIdentifier === game.gameId);
+            matching.forEach(row => used.add(row));
+
+            matching
+                .filter(row => row.gameIdentifier !== game.gameId)
+                .forEach(row => issues.push(this.createIssue('wrong-game', game.gameId, row.gameSessionId,
+                    `Count row for session ${row.gameSessionId} names ${row.gameIdentifier} instead of ${game.gameId}`, [row])));
+
+            if (matching.length === 0) {
+                issues.push(this.createIssue('missing', game.gameId, game.gameSessionId,
+                    `No count row for ${game.gameId} within ${this.tolerance}s of the screenshot`, []));
+            } else if (correct.length > 1) {
+                issues.push(this.createIssue('duplicate', game.gameId, game.gameSessionId,
+                    `${correct.length} count rows for ${game.gameId} within ${this.tolerance}s of the screenshot`, correct));
+            }
+        });
+
+        // Rows for games that were not on screen
+        rows
+            .filter(row => !used.has(row))
+            .forEach(row => issues.push(this.createIssue('wrong-game', row.gameIdentifier, row.gameSessionId,
+                `Count row for ${row.gameIdentifier}, which post-processing did not output for this screenshot`, [row])));
+
+        return issues;
+    }
+
+    /**
+     * Build an issue record
+     */
+    createIssue(kind, gameId, gameSessionId, message, rows) {
+        return {
+            kind,
+            title: GAME_COUNT_ISSUES[kind].title,
+            severity: GAME_COUNT_ISSUES[kind].severity,
+            gameId,
+            gameSessionId: gameSessionId || null,
+            message,
+            timestamps: rows.map(row => row.timestamp)
+        };
+    }
+
+    /**
+     * Issues found for a result
+     */
+    getIssuesAt(result) {
+        return this.issuesByResult.get(result) || [];
+    }
+
+    /**
+     * Whether a result has game count issues
+     */
+    hasIssues(result) {
+        return this.issuesByResult.has(result);
+    }
+}
+
+// Global instance
+window.gameCountChecker = new GameCountChecker();
@@ -0,0 +1,311 @@
+/**
+ * Ground Truth
+ * Reviewer labels of the games actually visible in a screenshot, and
+ * precision / recall / F1 of each pipeline stage against them
+ */
+
+const GROUND_TRUTH_STORAGE_KEY = 'ground_truth_labels';
+const GROUND_TRUTH_FILE_VERSION = 1;
+// Games per labelling page, toggled with the keys 1-9
+const GROUND_TRUTH_PAGE_SIZE = 9;
+
+// The games each stage reports for a screenshot (failed stages report none)
+const GROUND_TRUTH_STAGES = {
+    ml: { label: 'ML API', games: result => (result.mlInference?.games || []).map(game => game.class) },
+    post: { label: 'Post-Processing', games: result => (result.postProcessed?.games || []).map(game => game.gameId) },
+    db: { label: 'Database', games: result => (result.dbSessions || []).map(session => session.gameIdentifier) }
+};
+
+class GroundTruthLabeler {
+    constructor() {
+        // Screenshot key -> { games, labeledAt }
+        this.labels = {};
+        this.active = false;
+        this.knownGames = [];
+        this.page = 0;
+        this.onChange = null;
+    }
+
+    /**
+     * Set the callback run after labels change from the labelling panel
+     */
+    attach(onChange) {
+        this.onChange = onChange;
+    }
+
+    /**
+     * Use the games of a newly loaded session
+     */
+    setKnownGames(results) {
+        this.knownGames = this.getKnownGames(results);
+        this.page = 0;
+    }
+
+    /**
+     * Key a screenshot's label is stored under (null when it cannot be labelled)
+     * S3 keys are unique across sessions, so labels survive reloads and stitching.
+     */
+    getKey(result) {
+        return result.screenshot?.s3Key || result.screenshot?.filename || null;
+    }
+
+    /**
+     * Labelled game IDs of a result, or null when it has no label
+     * An empty list means the reviewer saw no games.
+     */
+    getLabels(result) {
+        const key = this.getKey(result);
+        return key && this.labels[key] ? this.labels[key].games : null;
+    }
+
+    /**
+     * Store the labelled game IDs of a result
+     */
+    setLabels(result, games) {
+        const key = this.getKey(result);
+        if (!key) {
+            throw new Error('Screenshot has no S3 key or filename to label');
+        }
+
+        this.labels[key] = { games: [...new Set(games)].sort(), labeledAt: new Date().toISOString() };
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Add or remove one game from a result's labels
+     */
+    toggleGame(result, gameId) {
+        const games = this.getLabels(result) || [];
+        this.setLabels(result, games.includes(gameId)
+            ? games.filter(id => id !== gameId)
+            : [...games, gameId]);
+    }
+
+    /**
+     * Remove the label of a result
+     */
+    clearLabels(result) {
+        const key = this.getKey(result);
+        if (key && this.labels[key]) {
+            delete this.labels[key];
+            this.saveToLocalStorage();
+        }
+    }
+
+    /**
+     * Game IDs that occur anywhere in the results, with their DB names
+     */
+    getKnownGames(results) {
+        const games = new Map();
+        const add = (gameId, name) => {
+            if (gameId === undefined || gameId === null) return;
+            if (!games.has(gameId) || name) {
+                games.set(gameId, { gameId, name: name || games.get(gameId)?.name || gameId });
+            }
+        };
+
+        results.forEach(result => {
+            (result.mlInference?.games || []).forEach(game => add(game.class));
+            (result.postProcessed?.games || []).forEach(game => add(game.gameId));
+            (result.dbSessions || []).forEach(session => add(session.gameIdentifier, session.gameName));
+        });
+
+        return [...games.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    }
+
+    /**
+     * Games on the current labelling page
+     */
+    getPageGames() {
+        const start = this.page * GROUND_TRUTH_PAGE_SIZE;
+        return this.knownGames.slice(start, start + GROUND_TRUTH_PAGE_SIZE);
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) page of games
+     */
+    turnPage(step) {
+        const pages = Math.max(1, Math.ceil(this.knownGames.length / GROUND_TRUTH_PAGE_SIZE));
+        this.page = (this.page + step + pages) % pages;
+    }
+
+    /**
+     * Toggle the game at a 1-based key on the current page
+     * Returns false when no game has that key.
+     */
+    toggleGameAt(result, key) {
+        const game = this.getPageGames()[key - 1];
+        if (!game) return false;
+
+        this.toggleGame(result, game.gameId);
+        return true;
+    }
+
+    /**
+     * Show the labelling panel for a result
+     */
+    renderLabeler(result) {
+        const panel = document.getElementById('labelPanel');
+        panel.style.display = this.active ? 'block' : 'none';
+        if (!this.active || !result) return;
+
+        const labels = this.getLabels(result);
+        // Game IDs and names come from the analysis file and imported label files
+        const escape = text => window.analysisUtils.escapeHtml(text);
+        const pages = Math.max(1, Math.ceil(this.knownGames.length / GROUND_TRUTH_PAGE_SIZE));
+        const status = labels === null
+            ? '<span class="text-muted">Not labelled</span>'
+            : `<span class="text-success">Labelled: ${labels.length > 0 ? escape(labels.join(', ')) : 'no games'}</span>`;
+
+        document.getElementById('labelStatus').innerHTML = this.getKey(result)
+            ? status
+            : '<span class="severity-error">This screenshot has no S3 key or filename and cannot be labelled</span>';
+        document.getElementById('labelPage').textContent = `Page ${this.page + 1} / ${pages}`;
+
+        const gamesEl = document.getElementById('labelGames');
+        gamesEl.innerHTML = this.knownGames.length === 0
+            ? '<div class="empty-state">No game IDs in this analysis</div>'
+            : this.getPageGames().map((game, i) => `
+                <button class="label-game${labels?.includes(game.gameId) ? ' selected' : ''}" data-key="${i + 1}">
+                    <kbd>${i + 1}</kbd>
+                    <span>${escape(game.name)}</span>
+                    ${game.name !== game.gameId ? `<span class="text-muted">${escape(game.gameId)}</span>` : ''}
+                </button>
+            `).join('');
+
+        gamesEl.querySelectorAll('.label-game').forEach(button => {
+            button.addEventListener('click', () => {
+                try {
+                    this.toggleGameAt(result, Number(button.dataset.key));
+                } catch (error) {
+                    alert(error.message);
+                    return;
+                }
+                this.renderLabeler(result);
+                if (this.onChange) this.onChange();
+            });
+        });
+    }
+
+    /**
+     * Precision, recall and F1 of every stage, per analysis session
+     * Stitched chunks can belong to different sessions, which are scored apart.
+     */
+    score(results, getSessionId) {
+        const sessions = new Map();
+
+        results.forEach(result => {
+            const sessionId = getSessionId(result);
+            if (!sessions.has(sessionId)) {
+                sessions.set(sessionId, { sessionId, results: [] });
+            }
+            sessions.get(sessionId).results.push(result);
+        });
+
+        const scores = [...sessions.values()].map(session => ({
+            sessionId: session.sessionId,
+            ...this.scoreStages(session.results)
+        }));
+
+        return {
+            labelled: scores.reduce((sum, session) => sum + session.labelled, 0),
+            total: results.length,
+            sessions: scores
+        };
+    }
+
+    /**
+     * Precision, recall and F1 of every stage over the labelled results of one session
+     */
+    scoreStages(results) {
+        const labelled = results.filter(result => this.getLabels(result) !== null);
+        const stages = {};
+
+        Object.entries(GROUND_TRUTH_STAGES).forEach(([stage, definition]) => {
+            const counts = { tp: 0, fp: 0, fn: 0 };
+
+            labelled.forEach(result => {
+                const truth = new Set(this.getLabels(result));
+                const predicted = new Set(definition.games(result));
+
+                predicted.forEach(gameId => {
+                    counts[truth.has(gameId) ? 'tp' : 'fp']++;
+                });
+                truth.forEach(gameId => {
+                    if (!predicted.has(gameId)) counts.fn++;
+                });
+            });
+
+            const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : null;
+            const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : null;
+            const f1 = precision !== null && recall !== null && precision + recall > 0
+                ? 2 * precision * recall / (precision + recall)
+                : null;
+
+            stages[stage] = { label: definition.label, ...counts, precision, recall, f1 };
+        });
+
+        return { labelled: labelled.length, total: results.length, stages };
+    }
+
+    /**
+     * Merge labels from an exported file
+     * Returns the number of imported labels.
+     */
+    importLabels(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid labels file: ${error.message}`);
+        }
+
+        const labels = data?.labels;
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+            throw new Error('Labels file must contain a "labels" object');
+        }
+
+        Object.entries(labels).forEach(([key, label]) => {
+            if (!Array.isArray(label?.games)) {
+                throw new Error(`Label for ${key} must have a "games" list`);
+            }
+        });
+
+        Object.assign(this.labels, labels);
+        this.saveToLocalStorage();
+        return Object.keys(labels).length;
+    }
+
+    /**
+     * Serialize all labels for download
+     */
+    exportLabels() {
+        return JSON.stringify({ version: GROUND_TRUTH_FILE_VERSION, labels: this.labels }, null, 2);
+    }
+
+    /**
+     * Save labels to localStorage
+     */
+    saveToLocalStorage() {
+        localStorage.setItem(GROUND_TRUTH_STORAGE_KEY, JSON.stringify(this.labels));
+    }
+
+    /**
+     * Load labels from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            const saved = localStorage.getItem(GROUND_TRUTH_STORAGE_KEY);
+            if (saved) {
+                this.labels = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading labels from localStorage:', error);
+        }
+
+        return this.labels;
+    }
+}
+
+// Global instance
+window.groundTruth = new GroundTruthLabeler();
@@ -0,0 +1,350 @@
+/**
+ * Image Cache
+ * Screenshot blob URLs in a least-recently-used cache bounded by total bytes,
+ * with an optional IndexedDB tier that keeps the image data across reloads
+ */
+
+const IMAGE_CACHE_SETTINGS_KEY = 'image_cache_settings';
+const IMAGE_CACHE_DB_NAME = 'screenshot_image_cache';
+const IMAGE_CACHE_DB_VERSION = 1;
+const IMAGE_CACHE_STORE_NAME = 'images';
+const IMAGE_CACHE_MB = 1024 * 1024;
+
+const IMAGE_CACHE_DEFAULTS = {
+    memoryLimitMb: 200,
+    persistent: false,
+    diskLimitMb: 1000
+};
+
+class ImageCache {
+    constructor() {
+        // s3Key -> { url, size }; Map order is least to most recently used
+        this.entries = new Map();
+        this.bytes = 0;
+        // s3Key -> { count, retired } for images being loaded into an <img>;
+        // retired holds their replaced blob URLs, revoked once unpinned
+        this.pinned = new Map();
+        this.settings = { ...IMAGE_CACHE_DEFAULTS };
+        this.db = null;
+        // Bytes and images in IndexedDB (null until counted)
+        this.stored = null;
+        this.counting = null;
+        this.onChange = null;
+    }
+
+    /**
+     * Set the callback run whenever the cache usage changes
+     */
+    attach(onChange) {
+        this.onChange = onChange;
+    }
+
+    /**
+     * Notify the usage display
+     */
+    changed() {
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Update the limits and the persistent tier switch
+     */
+    setSettings(changes) {
+        const settings = { ...this.settings, ...changes };
+        settings.memoryLimitMb = Math.max(16, Number(settings.memoryLimitMb) || IMAGE_CACHE_DEFAULTS.memoryLimitMb);
+        settings.diskLimitMb = Math.max(16, Number(settings.diskLimitMb) || IMAGE_CACHE_DEFAULTS.diskLimitMb);
+        settings.persistent = Boolean(settings.persistent);
+        this.settings = settings;
+
+        this.evict();
+        this.saveToLocalStorage();
+        return settings;
+    }
+
+    /**
+     * Blob URL of a cached image, or null
+     * A hit makes the image the most recently used.
+     */
+    get(s3Key) {
+        const entry = this.entries.get(s3Key);
+        if (!entry) return null;
+
+        this.entries.delete(s3Key);
+        this.entries.set(s3Key, entry);
+        return entry.url;
+    }
+
+    /**
+     * Cache an image and return its blob URL
+     */
+    set(s3Key, blob) {
+        const previous = this.entries.get(s3Key);
+        if (previous) {
+            this.remove(s3Key, previous);
+        }
+
+        const entry = { url: URL.createObjectURL(blob), size: blob.size };
+        this.entries.set(s3Key, entry);
+        this.bytes += entry.size;
+
+        this.evict();
+        this.changed();
+        return entry.url;
+    }
+
+    /**
+     * Keep an image's blob URL valid until unpin()
+     * Pinned images are not evicted; the key may be pinned before the image is cached.
+     */
+    pin(s3Key) {
+        const pin = this.pinned.get(s3Key);
+        if (pin) {
+            pin.count++;
+        } else {
+            this.pinned.set(s3Key, { count: 1, retired: [] });
+        }
+    }
+
+    /**
+     * Release a pin, revoking the URLs replaced meanwhile and evicting what was held back
+     */
+    unpin(s3Key) {
+        const pin = this.pinned.get(s3Key);
+        if (!pin || --pin.count > 0) return;
+
+        this.pinned.delete(s3Key);
+        pin.retired.forEach(url => URL.revokeObjectURL(url));
+        this.evict();
+    }
+
+    /**
+     * Drop least recently used images until the cache fits its limit
+     * The newest image stays even when it is larger than the limit on its own.
+     */
+    evict() {
+        const limit = this.settings.memoryLimitMb * IMAGE_CACHE_MB;
+        const newest = [...this.entries.keys()].pop();
+        for (const [s3Key, entry] of this.entries) {
+            if (this.bytes <= limit || s3Key === newest) break;
+            if (this.pinned.has(s3Key)) continue;
+            this.remove(s3Key, entry);
+        }
+    }
+
+    /**
+     * Remove an entry and revoke its blob URL (once unpinned, if pinned)
+     */
+    remove(s3Key, entry) {
+        const pin = this.pinned.get(s3Key);
+        if (pin) {
+            pin.retired.push(entry.url);
+        } else {
+            URL.revokeObjectURL(entry.url);
+        }
+        this.entries.delete(s3Key);
+        this.bytes -= entry.size;
+    }
+
+    /**
+     * Open the IndexedDB database (once)
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(IMAGE_CACHE_DB_NAME, IMAGE_CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(IMAGE_CACHE_STORE_NAME, { keyPath: ['bucket', 's3Key', 'etag'] });
+                store.createIndex('lastUsed', 'lastUsed');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Cannot open image cache: ${request.error?.message}`));
+        });
+        return this.db;
+    }
+
+    /**
+     * Run a request against the image store and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(IMAGE_CACHE_STORE_NAME, mode).objectStore(IMAGE_CACHE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Image cache error: ${request.error?.message}`));
+        });
+    }
+
+    /**
+     * Visit every stored image, least recently used first
+     * visit(record, cursor) returns false to stop.
+     */
+    async walkStored(mode, visit) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IMAGE_CACHE_STORE_NAME, mode);
+            const request = transaction.objectStore(IMAGE_CACHE_STORE_NAME).index('lastUsed').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && visit(cursor.value, cursor) !== false) {
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Image cache error: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Bytes and number of images in IndexedDB
+     */
+    getStoredUsage() {
+        // Concurrent callers share one count
+        if (!this.counting) {
+            const stored = { bytes: 0, count: 0 };
+            this.counting = this.walkStored('readonly', record => {
+                stored.bytes += record.size;
+                stored.count++;
+            }).then(() => {
+                this.stored = stored;
+                return stored;
+            }, error => {
+                this.counting = null;
+                throw error;
+            });
+        }
+        return this.counting;
+    }
+
+    /**
+     * Whether any version of an object is stored
+     */
+    async hasStored(bucket, s3Key) {
+        // Arrays sort after strings, so the range spans every ETag of the key
+        const range = IDBKeyRange.bound([bucket, s3Key], [bucket, s3Key, []]);
+        return await this.request('readonly', store => store.count(range)) > 0;
+    }
+
+    /**
+     * Stored image data of one version (ETag) of an object, or null
+     */
+    async loadStored(bucket, s3Key, etag) {
+        const record = await this.request('readonly', store => store.get([bucket, s3Key, etag]));
+        if (!record) return null;
+
+        // Count the hit for the least-recently-used order
+        record.lastUsed = Date.now();
+        await this.request('readwrite', store => store.put(record));
+        return record.blob;
+    }
+
+    /**
+     * Keep image data in IndexedDB and drop the least recently used images over the limit
+     * Replaces any stored version of the object, so only its current ETag takes up space.
+     */
+    async store(bucket, s3Key, etag, blob) {
+        const usage = await this.getStoredUsage();
+        const db = await this.open();
+        const replaced = { bytes: 0, count: 0 };
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(IMAGE_CACHE_STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(IMAGE_CACHE_STORE_NAME);
+            // Drop every stored version of the object (a changed ETag or the same one) first
+            const request = store.openCursor(IDBKeyRange.bound([bucket, s3Key], [bucket, s3Key, []]));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    replaced.bytes += cursor.value.size;
+                    replaced.count++;
+                    cursor.delete();
+                    cursor.continue();
+                } else {
+                    store.put({ bucket, s3Key, etag, blob, size: blob.size, lastUsed: Date.now() });
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Image cache error: ${transaction.error?.message}`));
+        });
+        usage.bytes += blob.size - replaced.bytes;
+        usage.count += 1 - replaced.count;
+
+        await this.evictStored();
+        this.changed();
+    }
+
+    /**
+     * Drop stored images, least recently used first, until IndexedDB fits its limit
+     */
+    async evictStored() {
+        const usage = await this.getStoredUsage();
+        const limit = this.settings.diskLimitMb * IMAGE_CACHE_MB;
+        if (usage.bytes <= limit) return;
+
+        await this.walkStored('readwrite', (record, cursor) => {
+            if (usage.bytes <= limit) return false;
+            cursor.delete();
+            usage.bytes -= record.size;
+            usage.count--;
+        });
+    }
+
+    /**
+     * Memory and IndexedDB usage for the settings panel
+     * IndexedDB usage is only counted once the persistent tier has been used.
+     */
+    getUsage() {
+        return {
+            memoryBytes: this.bytes,
+            memoryCount: this.entries.size,
+            memoryLimit: this.settings.memoryLimitMb * IMAGE_CACHE_MB,
+            storedBytes: this.stored?.bytes ?? null,
+            storedCount: this.stored?.count ?? null,
+            diskLimit: this.settings.diskLimitMb * IMAGE_CACHE_MB
+        };
+    }
+
+    /**
+     * Empty the memory cache
+     */
+    clearMemory() {
+        for (const [s3Key, entry] of this.entries) {
+            this.remove(s3Key, entry);
+        }
+        this.changed();
+    }
+
+    /**
+     * Empty both the memory cache and IndexedDB
+     */
+    async clear() {
+        this.clearMemory();
+        await this.request('readwrite', store => store.clear());
+        this.stored = { bytes: 0, count: 0 };
+        this.counting = Promise.resolve(this.stored);
+        this.changed();
+    }
+
+    /**
+     * Save settings to localStorage
+     */
+    saveToLocalStorage() {
+        localStorage.setItem(IMAGE_CACHE_SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            const saved = localStorage.getItem(IMAGE_CACHE_SETTINGS_KEY);
+            if (saved) {
+                this.settings = { ...IMAGE_CACHE_DEFAULTS, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.error('Error loading image cache settings from localStorage:', error);
+        }
+
+        return this.settings;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Incident Tracker
+ * Groups runs of consecutive results with the same discrepancy type into
+ * incidents and renders the incident panel
+ */
+
+class IncidentTracker {
+    constructor() {
+        this.incidents = [];
+        this.positions = new Map();
+        this.typeFilter = '';
+    }
+
+    /**
+     * Group the results (timeline order) into incidents
+     */
+    build(results) {
+        const open = new Map();
+        this.incidents = [];
+        this.positions = new Map();
+
+        results.forEach((result, position) => {
+            this.positions.set(result, position);
+
+            const discrepancies = window.discrepancyManager.analyzeResult(result);
+            const seen = new Set();
+
+            discrepancies.forEach(discrepancy => {
+                seen.add(discrepancy.type);
+
+                let incident = open.get(discrepancy.type);
+                if (!incident) {
+                    incident = this.createIncident(discrepancy, result, position);
+                    open.set(discrepancy.type, incident);
+                    this.incidents.push(incident);
+                }
+
+                this.extendIncident(incident, discrepancy, result, position);
+            });
+
+            // A result without the type ends that type's run
+            [...open.keys()].forEach(type => {
+                if (!seen.has(type)) {
+                    open.delete(type);
+                }
+            });
+        });
+
+        // Incidents are created in start order, so an incident's id is its position in the list
+        this.incidents.forEach(incident => this.finishIncident(incident));
+
+        return this.incidents;
+    }
+
+    /**
+     * Start an incident at a result
+     */
+    createIncident(discrepancy, result, position) {
+        return {
+            id: this.incidents.length,
+            type: discrepancy.type,
+            title: discrepancy.title,
+            startPosition: position,
+            endPosition: position,
+            startIndex: result.index,
+            endIndex: result.index,
+            startTime: result.screenshot?.timestamp || null,
+            endTime: result.screenshot?.timestamp || null,
+            duration: 0,
+            resultCount: 0,
+            games: new Set(),
+            severities: []
+        };
+    }
+
+    /**
+     * Add a result to an open incident
+     */
+    extendIncident(incident, discrepancy, result, position) {
+        incident.endPosition = position;
+        incident.endIndex = result.index;
+        incident.endTime = result.screenshot?.timestamp || incident.endTime;
+        incident.resultCount++;
+        incident.severities.push({ severity: discrepancy.severity });
+
+        (result.mlInference?.games || []).forEach(game => incident.games.add(game.class));
+        (result.postProcessed?.games || []).forEach(game => incident.games.add(game.gameId));
+        (result.dbSessions || []).forEach(session => incident.games.add(session.gameName || session.gameIdentifier));
+    }
+
+    /**
+     * Derive the summary fields once an incident is complete
+     */
+    finishIncident(incident) {
+        const start = Date.parse(incident.startTime);
+        const end = Date.parse(incident.endTime);
+
+        incident.duration = isNaN(start) || isNaN(end) ? 0 : Math.max(0, (end - start) / 1000);
+        incident.games = [...incident.games].filter(Boolean).sort();
+        incident.severity = window.analysisUtils.worstSeverity(incident.severities) || 'info';
+        delete incident.severities;
+    }
+
+    /**
+     * Incidents shown in the panel (optionally limited to one type)
+     */
+    getVisibleIncidents() {
+        return this.typeFilter
+            ? this.incidents.filter(incident => incident.type === this.typeFilter)
+            : this.incidents;
+    }
+
+    /**
+     * Incident containing a result (first visible match)
+     */
+    findIncidentAt(result) {
+        const position = this.positions.get(result);
+        if (position === undefined) return null;
+
+        return this.getVisibleIncidents().find(incident =>
+            incident.startPosition <= position && position <= incident.endPosition) || null;
+    }
+
+    /**
+     * Next visible incident starting after a result
+     */
+    findNext(result) {
+        const position = this.positions.has(result) ? this.positions.get(result) : -1;
+        return this.getVisibleIncidents().find(incident => incident.startPosition > position) || null;
+    }
+
+    /**
+     * Previous visible incident starting before a result
+     */
+    findPrevious(result) {
+        const position = this.positions.has(result) ? this.positions.get(result) : Infinity;
+        const before = this.getVisibleIncidents().filter(incident => incident.startPosition < position);
+        return before.length > 0 ? before[before.length - 1] : null;
+    }
+
+    /**
+     * Render the incident list
+     */
+    render(onSelect) {
+        const listEl = document.getElementById('incidentList');
+        const typeSelect = document.getElementById('incidentTypeFilter');
+        const incidents = this.getVisibleIncidents();
+
+        // Offer the types present in this session
+        const types = new Map(this.incidents.map(incident => [incident.type, incident.title]));
+        if (this.typeFilter && !types.has(this.typeFilter)) {
+            this.typeFilter = '';
+        }
+        typeSelect.innerHTML = '<option value="">All types</option>' +
+            [...types.entries()].map(([type, title]) =>
+                `<option value="${type}"${type === this.typeFilter ? ' selected' : ''}>${title}</option>`).join('');
+
+        document.getElementById('incidentCount').textContent =
+            `${incidents.length} incident(s)`;
+
+        if (incidents.length === 0) {
+            listEl.innerHTML = '<div class="empty-state">No incidents</div>';
+            return;
+        }
+
+        listEl.innerHTML = incidents.map(incident => `
+            <div class="incident-item" data-incident="${incident.id}">
+                <div class="incident-title">
+                    <span class="discrepancy-type ${incident.type}">${incident.title}</span>
+                    <span class="severity-${incident.severity}">${incident.severity}</span>
+                </div>
+                <div class="incident-time">
+                    ${window.discrepancyManager.formatTimestamp(incident.startTime)} →
+                    ${window.discrepancyManager.formatTimestamp(incident.endTime)}
+                </div>
+                <div class="incident-meta">
+                    ${window.discrepancyManager.formatAirtime(incident.duration)} ·
+                    ${incident.resultCount} screenshot(s) · index ${incident.startIndex}–${incident.endIndex}
+                </div>
+                ${incident.games.length > 0 ? `<div class="incident-games">${incident.games.join(', ')}</div>` : ''}
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.incident-item').forEach(el => {
+            el.addEventListener('click', () => {
+                onSelect(this.incidents[Number(el.dataset.incident)]);
+            });
+        });
+    }
+
+    /**
+     * Highlight the incident containing the current result
+     */
+    highlightCurrent(result) {
+        const current = this.findIncidentAt(result);
+        const listEl = document.getElementById('incidentList');
+
+        listEl.querySelectorAll('.incident-item').forEach(el => {
+            const active = current !== null && Number(el.dataset.incident) === current.id;
+            el.classList.toggle('active', active);
+
+            // Scroll the list only, not the page
+            if (active && (el.offsetTop < listEl.scrollTop ||
+                el.offsetTop + el.offsetHeight > listEl.scrollTop + listEl.clientHeight)) {
+                listEl.scrollTop = el.offsetTop;
+            }
+        });
+    }
+}
+
+// Global instance
+window.incidentTracker = new IncidentTracker();
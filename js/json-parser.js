@@ -1,59 +1,671 @@
 /**
  * JSON Parser
- * Parses and validates complete_analysis.json files
+ * Parses and validates complete_analysis.json files (JSON or NDJSON, optionally gzipped)
  */
 
+// How much text is inspected to tell JSON from NDJSON
+const FORMAT_SNIFF_LIMIT = 1024 * 1024;
+
 class JSONParser {
     constructor() {
         this.analysisData = null;
         this.sessionMetadata = null;
         this.results = [];
         this.discrepancyCount = 0;
+        this.stats = null;
+        this.validationReport = null;
+        this.stitchReport = null;
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Parse JSON file (local File or downloaded Blob)
+     * options: onProgress, onResults, validationMode ('lenient' | 'strict')
+     */
+    async parseFile(file, options = {}) {
+        return this.parseFiles([file], options);
+    }
+
+    /**
+     * Parse one or more analysis files of the same channel and date
+     * Several files are stitched into one ordered result set. Streams through the
+     * parser worker when available, reporting progress and result batches as they
+     * are parsed; falls back to the main thread otherwise.
+     */
+    async parseFiles(files, options = {}) {
+        const worker = this.getWorker();
+
+        if (!worker) {
+            return this.parseFilesOnMainThread(files, options);
+        }
+
+        return this.parseFilesInWorker(files, options);
+    }
+
+    /**
+     * Parse files in one go on the main thread
+     */
+    async parseFilesOnMainThread(files, options = {}) {
+        this.clear();
+
+        try {
+            const chunks = [];
+
+            for (const [chunkIndex, file] of files.entries()) {
+                const name = this.getFileName(file, chunkIndex);
+                const { text, compression } = await this.readFileAsText(file);
+                const format = this.detectTextFormat(text.slice(0, FORMAT_SNIFF_LIMIT), name);
+                const data = format === 'ndjson' ? this.parseNDJSON(text) : JSON.parse(text);
+
+                const chunk = this.parseDocument(data, options.validationMode, chunkIndex);
+                chunk.name = name;
+                chunk.format = format;
+                chunk.compression = compression;
+                chunks.push(chunk);
+            }
+
+            this.stitchChunks(chunks, options.validationMode);
+            this.assertValid(this.validationReport);
+        } catch (error) {
+            // Schema failures keep their report for display
+            throw error.validationReport ? error : new Error(`JSON parsing error: ${error.message}`);
+        }
+
+        return this.getParseSummary();
+    }
+
+    /**
+     * Read a File/Blob as text, gunzipping it if needed
+     */
+    async readFileAsText(file) {
+        try {
+            const { stream, compression } = await this.openByteStream(file);
+            const text = await new Response(stream).text();
+            return { text, compression };
+        } catch (error) {
+            throw new Error(`Failed to read file: ${error.message}`);
+        }
     }
 
     /**
-     * Parse JSON file
+     * Open a File/Blob as a byte stream, gunzipping it when it starts with the gzip magic bytes
+     * onBytes receives the number of bytes read from the file itself (before decompression).
      */
-    async parseFile(file) {
+    async openByteStream(file, onBytes) {
+        const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        const isGzip = magic[0] === 0x1f && magic[1] === 0x8b;
+        let stream = file.stream();
+
+        if (onBytes) {
+            stream = stream.pipeThrough(new TransformStream({
+                transform(chunk, controller) {
+                    onBytes(chunk.byteLength);
+                    controller.enqueue(chunk);
+                }
+            }));
+        }
+
+        if (isGzip) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress gzip files');
+            }
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+
+        return { stream, compression: isGzip ? 'gzip' : null };
+    }
+
+    /**
+     * Decide between a single JSON document and NDJSON from the start of the text
+     * NDJSON starts with a complete header object on its own line that has no
+     * results array; .ndjson/.jsonl file names are always read as NDJSON.
+     */
+    detectTextFormat(sample, fileName) {
+        if (/\.(ndjson|jsonl)(\.gz)?$/i.test(fileName || '')) {
+            return 'ndjson';
+        }
+
+        const text = sample.trimStart();
+        const newline = text.indexOf('\n');
+        if (newline === -1) {
+            return 'json';
+        }
+
+        try {
+            const firstLine = JSON.parse(text.slice(0, newline));
+            const isHeader = firstLine && typeof firstLine === 'object' &&
+                !Array.isArray(firstLine) && !('results' in firstLine);
+            return isHeader ? 'ndjson' : 'json';
+        } catch (error) {
+            // A pretty-printed document does not parse line by line
+            return 'json';
+        }
+    }
+
+    /**
+     * Parse NDJSON text into the equivalent analysis document
+     * The first line holds the session metadata, every following line one result.
+     */
+    parseNDJSON(text) {
+        let header = null;
+        const results = [];
+
+        text.split('\n').forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            let value;
+            try {
+                value = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+            }
+
+            if (header) {
+                results.push(value);
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                header = value;
+            } else {
+                throw new Error('NDJSON header line must be an object with the session metadata');
+            }
+        });
+
+        if (!header) {
+            throw new Error('Empty NDJSON input');
+        }
+
+        return { ...header, results };
+    }
+
+    /**
+     * Stream-parse files in the parser worker
+     */
+    parseFilesInWorker(files, options) {
+        // A new load supersedes any parse or filter still running
+        this.cancelPendingRequests('Superseded by a new file', true);
+        this.clear();
+
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const jsonData = JSON.parse(e.target.result);
-                    this.validateAndParse(jsonData);
-                    resolve({
-                        metadata: this.sessionMetadata,
-                        results: this.results,
-                        discrepancyCount: this.discrepancyCount
-                    });
-                } catch (error) {
-                    reject(new Error(`JSON parsing error: ${error.message}`));
+            const validationMode = options.validationMode || 'lenient';
+            const namedFiles = files.map((file, chunkIndex) => ({
+                file: file,
+                name: this.getFileName(file, chunkIndex)
+            }));
+
+            const rules = window.rulesEngine.rules;
+
+            this.postToWorker({ type: 'parse', files: namedFiles, validationMode, rules }, {
+                results: (message) => {
+                    this.results.push(...message.results);
+                    this.discrepancyCount = message.discrepancyCount;
+                    if (options.onResults) {
+                        options.onResults(message.results);
+                    }
+                },
+                progress: (message) => {
+                    if (options.onProgress) {
+                        options.onProgress(message.loaded, message.total);
+                    }
+                },
+                done: (message) => {
+                    // Repeat the worker's stitching on our copy of the results
+                    const chunks = message.chunks.map((chunk, chunkIndex) => ({
+                        ...chunk,
+                        results: this.results.filter(result => result.chunk === chunkIndex)
+                    }));
+                    this.stitchChunks(chunks, validationMode);
+                    this.stats = message.stats;
+                    window.rulesEngine.errors = message.ruleErrors;
+                    resolve(this.getParseSummary());
+                },
+                superseded: () => {
+                    const error = new Error('Superseded by a new file');
+                    error.superseded = true;
+                    reject(error);
+                },
+                error: (message) => {
+                    if (message.validationReport) {
+                        this.validationReport = message.validationReport;
+                        reject(this.createValidationError(message.validationReport));
+                    } else {
+                        reject(new Error(`JSON parsing error: ${message.message}`));
+                    }
                 }
-            };
+            });
+        });
+    }
+
+    /**
+     * Display name for a parsed file (S3 Blobs carry their key as name)
+     */
+    getFileName(file, chunkIndex) {
+        return file.name || `chunk ${chunkIndex + 1}`;
+    }
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
+    /**
+     * Summary returned by the parse methods
+     */
+    getParseSummary() {
+        return {
+            metadata: this.sessionMetadata,
+            results: this.results,
+            discrepancyCount: this.discrepancyCount,
+            validationReport: this.validationReport,
+            stitchReport: this.stitchReport
+        };
+    }
+
+    /**
+     * Get (or lazily start) the parser worker
+     * Returns null where workers are unavailable (e.g. index.html opened via file://)
+     */
+    getWorker() {
+        if (this.worker || this.workerUnavailable) {
+            return this.worker;
+        }
+
+        if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+            this.workerUnavailable = true;
+            return null;
+        }
+
+        try {
+            this.worker = new Worker('js/parser-worker.js');
+            this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.error('Parser worker error:', e.message);
+                this.cancelPendingRequests(e.message || 'Parser worker failed');
             };
+        } catch (error) {
+            console.warn('Parser worker unavailable, parsing on main thread:', error);
+            this.workerUnavailable = true;
+            this.worker = null;
+        }
 
-            reader.readAsText(file);
-        });
+        return this.worker;
+    }
+
+    /**
+     * Send a request to the worker; handlers are keyed by response message type
+     */
+    postToWorker(message, handlers) {
+        const requestId = this.nextRequestId++;
+        this.pendingRequests.set(requestId, handlers);
+        this.worker.postMessage({ ...message, requestId });
+        return requestId;
+    }
+
+    /**
+     * Dispatch a worker response to the handlers of its request
+     */
+    handleWorkerMessage(message) {
+        const handlers = this.pendingRequests.get(message.requestId);
+        if (!handlers) return;
+
+        // Everything but streamed batches and progress ends the request
+        if (message.type !== 'results' && message.type !== 'progress') {
+            this.pendingRequests.delete(message.requestId);
+        }
+
+        if (handlers[message.type]) {
+            handlers[message.type](message);
+        }
+    }
+
+    /**
+     * Fail all outstanding worker requests
+     * Superseded requests with a "superseded" handler are ended through it instead.
+     */
+    cancelPendingRequests(reason, superseded = false) {
+        for (const handlers of this.pendingRequests.values()) {
+            if (superseded && handlers.superseded) {
+                handlers.superseded();
+            } else if (handlers.error) {
+                handlers.error({ message: reason });
+            }
+        }
+        this.pendingRequests.clear();
     }
 
     /**
      * Validate and parse JSON data
      */
-    validateAndParse(data) {
-        // Validate required fields
+    validateAndParse(data, validationMode = 'lenient') {
+        const chunk = this.parseDocument(data, validationMode, 0);
+        chunk.name = 'analysis';
+        this.stitchChunks([chunk], validationMode);
+        this.assertValid(this.validationReport);
+        this.analysisData = data;
+    }
+
+    /**
+     * Validate and parse one analysis document into a chunk
+     * Returns { header, results, validationReport }; header is the document minus results.
+     */
+    parseDocument(data, validationMode, chunkIndex) {
+        this.validateRequiredFields(data);
+
+        // Check against the versioned schema
+        const validator = window.schemaValidator;
+        const report = validator.createReport(validationMode);
+        validator.resolveSchema(data, report);
+        validator.validateRoot(data, report);
+
+        // Parse results
+        const results = data.results.map((result, position) => {
+            const parsed = this.parseValidatedResult(result, position, report);
+            parsed.chunk = chunkIndex;
+            return parsed;
+        });
+
+        const header = { ...data };
+        delete header.results;
+
+        return { header, results, validationReport: report };
+    }
+
+    /**
+     * Merge parsed chunks of one channel and date into a single ordered result set
+     * Chunks are ordered by screenshot timestamp; screenshots present in several
+     * chunks are kept once. Duplicates, overlapping chunk time ranges and index
+     * collisions are recorded in this.stitchReport. A single chunk is kept as-is.
+     */
+    stitchChunks(chunks, validationMode = 'lenient') {
+        const first = chunks[0];
+        const findings = [];
+
+        // Only chunks of the same stream can be stitched
+        chunks.forEach(chunk => {
+            ['platform', 'channel', 'date'].forEach(field => {
+                const expected = first.header[field] || 'unknown';
+                const actual = chunk.header[field] || 'unknown';
+                if (actual !== expected) {
+                    throw new Error(`Cannot stitch ${chunk.name}: ${field} '${actual}' differs from '${expected}' in ${first.name}`);
+                }
+            });
+        });
+
+        const entries = [];
+        chunks.forEach((chunk, chunkIndex) => {
+            let lastTime = -Infinity;
+            chunk.results.forEach((result, position) => {
+                // Results without a usable timestamp stay behind their predecessor
+                const time = Date.parse(result.screenshot?.timestamp);
+                lastTime = isNaN(time) ? lastTime : time;
+                entries.push({ result, chunkIndex, position, time: lastTime });
+            });
+        });
+
+        let kept = entries;
+
+        if (chunks.length > 1) {
+            entries.sort((a, b) => a.time - b.time || a.chunkIndex - b.chunkIndex || a.position - b.position);
+            kept = this.dropDuplicateScreenshots(entries, chunks, findings);
+        }
+
+        const chunkInfo = chunks.map((chunk, chunkIndex) => this.describeChunk(chunk, chunkIndex));
+
+        if (chunks.length > 1) {
+            this.findChunkOverlaps(chunkInfo, findings);
+
+            // Indices restart per chunk: renumber so index stays unique
+            if (this.hasIndexCollisions(kept, chunks, findings)) {
+                kept.forEach((entry, mergedPosition) => {
+                    entry.result.originalIndex = entry.result.index;
+                    entry.result.index = mergedPosition;
+                });
+            }
+        }
+
+        this.results = kept.map(entry => entry.result);
+        // Causes depend on neighbouring frames, so they are assigned in timeline order
+        window.mismatchClassifier.classifyAll(this.results);
+        this.discrepancyCount = this.results.filter(r => r.hasDiscrepancy).length;
+        this.stats = null;
+        this.validationReport = this.mergeValidationReports(chunks, kept, validationMode);
+        this.analysisData = chunks.map(chunk => chunk.header);
+
+        // Session metadata spans all chunks
+        const metadata = this.parseMetadata(first.header, this.results.length);
+        const starts = chunkInfo.map(info => info.startTime).filter(Boolean).sort();
+        const ends = chunkInfo.map(info => info.endTime).filter(Boolean).sort();
+        if (chunks.length > 1) {
+            metadata.startTime = starts[0] || null;
+            metadata.endTime = ends[ends.length - 1] || null;
+            metadata.total = this.results.length;
+        }
+        metadata.chunks = chunkInfo;
+        this.sessionMetadata = metadata;
+
+        this.stitchReport = { chunks: chunkInfo, findings: findings };
+    }
+
+    /**
+     * Drop screenshots already present in an earlier chunk; report repeated timestamps
+     */
+    dropDuplicateScreenshots(entries, chunks, findings) {
+        const byKey = new Map();
+        const byTimestamp = new Map();
+        const kept = [];
+
+        entries.forEach(entry => {
+            const screenshot = entry.result.screenshot;
+            const key = screenshot?.s3Key;
+            const timestamp = screenshot?.timestamp;
+
+            if (key && byKey.has(key) && byKey.get(key).chunkIndex !== entry.chunkIndex) {
+                const original = byKey.get(key);
+                findings.push({
+                    type: 'duplicate-screenshot',
+                    severity: 'warning',
+                    message: `${key} is in ${chunks[original.chunkIndex].name} (index ${original.result.index}) and ${chunks[entry.chunkIndex].name} (index ${entry.result.index}); kept the first`,
+                    timestamp: timestamp
+                });
+                return;
+            }
+
+            if (timestamp && byTimestamp.has(timestamp) && byTimestamp.get(timestamp).chunkIndex !== entry.chunkIndex) {
+                const original = byTimestamp.get(timestamp);
+                findings.push({
+                    type: 'duplicate-timestamp',
+                    severity: 'warning',
+                    message: `Timestamp ${timestamp} appears in ${chunks[original.chunkIndex].name} and ${chunks[entry.chunkIndex].name} with different screenshots`,
+                    timestamp: timestamp
+                });
+            }
+
+            if (key) byKey.set(key, entry);
+            if (timestamp) byTimestamp.set(timestamp, entry);
+            kept.push(entry);
+        });
+
+        return kept;
+    }
+
+    /**
+     * Start/end time and index range of a chunk
+     */
+    describeChunk(chunk, chunkIndex) {
+        const timestamps = chunk.results
+            .map(result => result.screenshot?.timestamp)
+            .filter(timestamp => timestamp && !isNaN(Date.parse(timestamp)))
+            .sort((a, b) => Date.parse(a) - Date.parse(b));
+        const indices = chunk.results.map(result => result.index).filter(Number.isInteger);
+
+        return {
+            chunkIndex: chunkIndex,
+            name: chunk.name,
+            sessionId: chunk.header.session_id,
+            format: chunk.format || 'json',
+            compression: chunk.compression || null,
+            startTime: chunk.header.start_time || timestamps[0] || null,
+            endTime: chunk.header.end_time || timestamps[timestamps.length - 1] || null,
+            resultCount: chunk.results.length,
+            firstIndex: indices.length > 0 ? Math.min(...indices) : null,
+            lastIndex: indices.length > 0 ? Math.max(...indices) : null
+        };
+    }
+
+    /**
+     * Report chunks whose time ranges overlap
+     */
+    findChunkOverlaps(chunkInfo, findings) {
+        const ordered = chunkInfo
+            .filter(info => info.startTime && info.endTime)
+            .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+
+        for (let i = 1; i < ordered.length; i++) {
+            const previous = ordered[i - 1];
+            const current = ordered[i];
+
+            if (Date.parse(current.startTime) < Date.parse(previous.endTime)) {
+                findings.push({
+                    type: 'chunk-overlap',
+                    severity: 'warning',
+                    message: `${current.name} starts at ${current.startTime}, before ${previous.name} ends at ${previous.endTime}`,
+                    timestamp: current.startTime
+                });
+            }
+        }
+    }
+
+    /**
+     * Check whether the same index appears in more than one chunk
+     */
+    hasIndexCollisions(kept, chunks, findings) {
+        const chunkByIndex = new Map();
+        const collisions = new Map();
+
+        kept.forEach(entry => {
+            const index = entry.result.index;
+            if (!chunkByIndex.has(index)) {
+                chunkByIndex.set(index, entry.chunkIndex);
+            } else if (chunkByIndex.get(index) !== entry.chunkIndex) {
+                const pair = `${chunkByIndex.get(index)}:${entry.chunkIndex}`;
+                collisions.set(pair, (collisions.get(pair) || 0) + 1);
+            }
+        });
+
+        collisions.forEach((count, pair) => {
+            const [a, b] = pair.split(':').map(Number);
+            findings.push({
+                type: 'index-collision',
+                severity: 'info',
+                message: `${count} index(es) of ${chunks[b].name} are also used in ${chunks[a].name}; results were renumbered in merged order (original index kept)`
+            });
+        });
+
+        return collisions.size > 0;
+    }
+
+    /**
+     * Combine per-chunk validation reports, pointing issues at merged positions
+     */
+    mergeValidationReports(chunks, kept, validationMode) {
+        if (chunks.length === 1) {
+            return chunks[0].validationReport;
+        }
+
+        const validator = window.schemaValidator;
+        const merged = validator.createReport(validationMode);
+        const mergedPositions = new Map();
+
+        kept.forEach((entry, mergedPosition) => {
+            mergedPositions.set(`${entry.chunkIndex}:${entry.position}`, mergedPosition);
+        });
+
+        chunks.forEach((chunk, chunkIndex) => {
+            const report = chunk.validationReport;
+
+            merged.schemaVersion = merged.schemaVersion || report.schemaVersion;
+            merged.affectedResults += report.affectedResults;
+            merged.truncated += report.truncated;
+            Object.keys(merged.counts).forEach(severity => {
+                merged.counts[severity] += report.counts[severity];
+            });
+
+            report.issues.forEach(issue => {
+                const position = issue.position !== undefined
+                    ? mergedPositions.get(`${chunkIndex}:${issue.position}`)
+                    : undefined;
+                merged.issues.push({ ...issue, file: chunk.name, position });
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * Parse a result entry and attach its schema issues
+     * Entries too malformed to map are kept as placeholders so lenient mode can still load.
+     */
+    parseValidatedResult(rawResult, position, report) {
+        const issues = window.schemaValidator.validateResult(rawResult, position, report);
+        let parsed;
+
+        try {
+            parsed = this.parseResult(rawResult);
+        } catch (error) {
+            const issue = {
+                path: `results[${position}]`,
+                severity: 'error',
+                message: `Result could not be parsed: ${error.message}`
+            };
+            window.schemaValidator.addIssue(report, { ...issue, position });
+            issues.push(issue);
+
+            parsed = this.parseResult({
+                index: rawResult?.index ?? position,
+                screenshot: rawResult?.screenshot
+            });
+        }
+
+        parsed.schemaIssues = issues;
+        return parsed;
+    }
+
+    /**
+     * Refuse the file in strict mode when the report has errors
+     */
+    assertValid(report) {
+        if (report.mode === 'strict' && window.schemaValidator.hasErrors(report)) {
+            throw this.createValidationError(report);
+        }
+    }
+
+    /**
+     * Build the error raised when strict validation fails
+     */
+    createValidationError(report) {
+        const first = report.issues.find(issue => issue.severity === 'error');
+        const error = new Error(
+            `Schema validation failed with ${report.counts.error} error(s)` +
+            (first ? `, first at ${first.path}: ${first.message}` : '')
+        );
+        error.validationReport = report;
+        return error;
+    }
+
+    /**
+     * Validate required top-level fields
+     */
+    validateRequiredFields(data) {
         if (!data.session_id) {
             throw new Error('Missing required field: session_id');
         }
         if (!data.results || !Array.isArray(data.results)) {
             throw new Error('Missing or invalid results array');
         }
+    }
 
-        // Extract session metadata
-        this.sessionMetadata = {
+    /**
+     * Extract session metadata from the top-level fields
+     */
+    parseMetadata(data, resultCount) {
+        return {
             sessionId: data.session_id,
             platform: data.platform || 'unknown',
             channel: data.channel || 'unknown',
@@ -61,16 +673,9 @@ class JSONParser {
             startTime: data.start_time || null,
             endTime: data.end_time || null,
             analyzedAt: data.analyzed_at || null,
-            total: data.total || data.results.length
+            schemaVersion: data.schema_version || null,
+            total: data.total || resultCount
         };
-
-        // Parse results
-        this.results = data.results.map(result => this.parseResult(result));
-
-        // Count discrepancies
-        this.discrepancyCount = this.results.filter(r => r.hasDiscrepancy).length;
-
-        this.analysisData = data;
     }
 
     /**
@@ -84,13 +689,100 @@ class JSONParser {
             postProcessed: this.parsePostProcessed(result.post_processed),
             dbSessions: this.parseDBSessions(result.db_sessions),
             dbGameCounts: this.parseDBGameCounts(result.db_game_counts),
-            discrepancyFlags: result.discrepancy_flags || {},
-            hasDiscrepancy: this.hasAnyDiscrepancy(result.discrepancy_flags)
+            discrepancyFlags: result.discrepancy_flags || {}
         };
 
+        // Flags the pipeline wrote that the stage outputs do not support
+        parsed.flagMismatches = window.flagVerifier.verify(parsed);
+        parsed.ruleMatches = window.rulesEngine.evaluate(parsed);
+        parsed.hasDiscrepancy = this.detectDiscrepancy(parsed);
+
         return parsed;
     }
 
+    /**
+     * Whether a parsed result has a pipeline flag, flag mismatch, rule match
+     * or session check issue
+     */
+    detectDiscrepancy(result) {
+        return Boolean(this.hasAnyDiscrepancy(result.discrepancyFlags)) ||
+            result.flagMismatches.length > 0 ||
+            result.ruleMatches.length > 0 ||
+            Boolean(result.sessionCheckIssue);
+    }
+
+    /**
+     * Re-evaluate the user-defined rules on the loaded results
+     */
+    applyRules(rules) {
+        window.rulesEngine.setRules(rules);
+
+        this.results.forEach(result => {
+            result.ruleMatches = window.rulesEngine.evaluate(result);
+            result.hasDiscrepancy = this.detectDiscrepancy(result);
+        });
+
+        this.discrepancyCount = this.results.filter(r => r.hasDiscrepancy).length;
+        this.stats = null;
+    }
+
+    /**
+     * Apply new rules here and on the worker's copy of the results
+     */
+    async setRules(rules) {
+        this.applyRules(rules);
+
+        if (!this.worker) return;
+
+        return new Promise((resolve, reject) => {
+            this.postToWorker({ type: 'rules', rules: window.rulesEngine.rules }, {
+                'rules-applied': () => resolve(),
+                error: (message) => {
+                    reject(new Error(message.message));
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark the results the session checks flagged
+     * flagged holds positions in the results of airtime drift, game count issues
+     * and continuity findings, which are only known once the checks have run.
+     */
+    applySessionChecks(flagged) {
+        const positions = new Set(flagged);
+
+        this.results.forEach((result, position) => {
+            result.sessionCheckIssue = positions.has(position);
+            result.hasDiscrepancy = this.detectDiscrepancy(result);
+        });
+
+        this.discrepancyCount = this.results.filter(r => r.hasDiscrepancy).length;
+        this.stats = null;
+    }
+
+    /**
+     * Mark the results hasIssue(result) accepts here and on the worker's copy of the results
+     */
+    async setSessionChecks(hasIssue) {
+        const flagged = [];
+        this.results.forEach((result, position) => {
+            if (hasIssue(result)) flagged.push(position);
+        });
+        this.applySessionChecks(flagged);
+
+        if (!this.worker) return;
+
+        return new Promise((resolve, reject) => {
+            this.postToWorker({ type: 'session-checks', flagged }, {
+                'session-checks-applied': () => resolve(),
+                error: (message) => {
+                    reject(new Error(message.message));
+                }
+            });
+        });
+    }
+
     /**
      * Parse screenshot data
      */
@@ -157,6 +849,8 @@ class JSONParser {
             startTime: session.start_time,
             endTime: session.end_time,
             trueAirtime: session.true_airtime || 0,
+            // Told apart from a real zero by the integrity check
+            trueAirtimeMissing: session.true_airtime === undefined || session.true_airtime === null,
             matchesScreenshot: session.matches_screenshot !== false
         }));
     }
@@ -211,13 +905,21 @@ class JSONParser {
      * Get discrepancy statistics
      */
     getDiscrepancyStats() {
+        // Computed by the parser worker at the end of a streamed parse
+        if (this.stats) {
+            return this.stats;
+        }
+
         const stats = {
             total: this.results.length,
             withDiscrepancies: this.discrepancyCount,
             mlVsPostprocessing: 0,
             postprocessingVsDb: 0,
             missingInDb: 0,
-            extraInDb: 0
+            extraInDb: 0,
+            flagMismatch: 0,
+            mismatchCauses: {},
+            rules: {}
         };
 
         this.results.forEach(result => {
@@ -233,6 +935,15 @@ class JSONParser {
             if (result.discrepancyFlags.extra_in_db) {
                 stats.extraInDb++;
             }
+            if (result.flagMismatches.length > 0) {
+                stats.flagMismatch++;
+            }
+            if (result.mismatchCause) {
+                stats.mismatchCauses[result.mismatchCause] = (stats.mismatchCauses[result.mismatchCause] || 0) + 1;
+            }
+            result.ruleMatches.forEach(match => {
+                stats.rules[match.name] = (stats.rules[match.name] || 0) + 1;
+            });
         });
 
         return stats;
@@ -263,10 +974,56 @@ class JSONParser {
                 return false;
             }
 
+            if (criteria.flagMismatch && result.flagMismatches.length === 0) {
+                return false;
+            }
+
+            if (criteria.mismatchCause && result.mismatchCause !== criteria.mismatchCause) {
+                return false;
+            }
+
+            // '*' matches any rule, otherwise a rule name
+            if (criteria.rule && !result.ruleMatches.some(match =>
+                criteria.rule === '*' || match.name === criteria.rule)) {
+                return false;
+            }
+
+            // Compiled query bar expression (a rules engine condition)
+            if (criteria.query && !window.rulesEngine.test(criteria.query, result, result)) {
+                return false;
+            }
+
             return true;
         });
     }
 
+    /**
+     * Filter results by criteria in the parser worker
+     * Resolves to the same results filterResults() would return, or to null
+     * when loading a new file superseded the request.
+     */
+    async filterResultsAsync(criteria) {
+        if (!this.worker) {
+            return this.filterResults(criteria);
+        }
+
+        return new Promise((resolve) => {
+            this.postToWorker({ type: 'filter', criteria }, {
+                filtered: (message) => {
+                    resolve(message.positions.map(position => this.results[position]));
+                },
+                superseded: () => {
+                    resolve(null);
+                },
+                error: (message) => {
+                    // The main thread holds the same results
+                    console.warn('Filtering in the parser worker failed, filtering on the main thread:', message.message);
+                    resolve(this.filterResults(criteria));
+                }
+            });
+        });
+    }
+
     /**
      * Export results as CSV
      */
@@ -280,7 +1037,10 @@ class JSONParser {
             'ML vs Post',
             'Post vs DB',
             'Missing in DB',
-            'Extra in DB'
+            'Extra in DB',
+            'Flag Mismatch',
+            'ML vs Post Cause',
+            'Rules'
         ];
 
         const rows = this.results.map(result => [
@@ -292,7 +1052,10 @@ class JSONParser {
             result.discrepancyFlags.ml_vs_postprocessing ? 'YES' : 'NO',
             result.discrepancyFlags.postprocessing_vs_db ? 'YES' : 'NO',
             result.discrepancyFlags.missing_in_db ? 'YES' : 'NO',
-            result.discrepancyFlags.extra_in_db ? 'YES' : 'NO'
+            result.discrepancyFlags.extra_in_db ? 'YES' : 'NO',
+            result.flagMismatches.map(mismatch => mismatch.flag).join(' '),
+            result.mismatchCause || '',
+            `"${result.ruleMatches.map(match => match.name).join('; ').replace(/"/g, '""')}"`
         ]);
 
         const csvContent = [
@@ -311,6 +1074,10 @@ class JSONParser {
         this.sessionMetadata = null;
         this.results = [];
         this.discrepancyCount = 0;
+        this.stats = null;
+        this.validationReport = null;
+        this.stitchReport = null;
+        window.rulesEngine.resetErrors();
     }
 }
 
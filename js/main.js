@@ -10,9 +10,31 @@
     const appState = {
         credentialsValidated: false,
         jsonLoaded: false,
-        sessionData: null
+        sessionData: null,
+        sessionSource: null
     };
 
+    // Filter controls of the viewer filter criteria
+    const FILTER_CHECKBOXES = {
+        onlyDiscrepancies: 'filterDiscrepancies',
+        mlVsPost: 'filterMlVsPost',
+        postVsDb: 'filterPostVsDb',
+        missingInDb: 'filterMissingInDb',
+        extraInDb: 'filterExtraInDb',
+        flagMismatch: 'filterFlagMismatch',
+        simulatorDiff: 'filterSimulatorDiff',
+        airtimeDrift: 'filterAirtimeDrift',
+        gameCountIssue: 'filterGameCount'
+    };
+    const FILTER_SELECTS = {
+        mismatchCause: 'filterMismatchCause',
+        rule: 'filterRule',
+        reviewStatus: 'filterReviewStatus'
+    };
+
+    // Completions shown under the query bar: { from, to, items, active }
+    let querySuggestion = { from: 0, to: 0, items: [], active: 0 };
+
     /**
      * Initialize application
      */
@@ -25,9 +47,22 @@
         // Setup event listeners
         setupCredentialHandlers();
         setupFileUploadHandlers();
+        setupSessionBrowserHandlers();
         setupNavigationHandlers();
+        setupPlaybackHandlers();
         setupFilterHandlers();
+        setupQueryHandlers();
+        setupSimulatorHandlers();
+        setupAirtimeHandlers();
+        setupGameCountHandlers();
+        setupIncidentHandlers();
+        setupSwimlaneHandlers();
+        setupRulesHandlers();
+        setupImageCacheHandlers();
+        setupGroundTruthHandlers();
+        setupReviewHandlers();
         setupKeyboardShortcuts();
+        setupDeepLinkHandlers();
 
         console.log('Application initialized');
     }
@@ -44,6 +79,8 @@
         if (saved.region) {
             document.getElementById('awsRegion').value = saved.region;
         }
+        document.getElementById('analysisPrefix').value = saved.analysisPrefix;
+        window.awsConfigManager.analysisPrefix = saved.analysisPrefix;
     }
 
     /**
@@ -138,6 +175,12 @@
 
                     // Enable file upload
                     updateUIState();
+
+                    // Populate the S3 session browser
+                    refreshSessionBrowser();
+
+                    // Open the session of a shared link
+                    openDeepLink();
                 } else {
                     statusEl.textContent = '✗ ' + result.message;
                     statusEl.className = 'credential-status invalid';
@@ -180,11 +223,17 @@
         const fileInfoEl = document.getElementById('fileInfo');
 
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
+            const files = Array.from(e.target.files);
             
-            if (file) {
-                fileInfoEl.textContent = `Selected: ${file.name} (${formatFileSize(file.size)})`;
-                
+            if (files.length === 1) {
+                fileInfoEl.textContent = `Selected: ${files[0].name} (${formatFileSize(files[0].size)})`;
+            } else if (files.length > 1) {
+                const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+                fileInfoEl.textContent = `Selected ${files.length} chunks to stitch: ` +
+                    `${files.map(file => file.name).join(', ')} (${formatFileSize(totalSize)})`;
+            }
+
+            if (files.length > 0) {
                 if (appState.credentialsValidated) {
                     loadBtn.disabled = false;
                 }
@@ -195,9 +244,9 @@
         });
 
         loadBtn.addEventListener('click', async () => {
-            const file = fileInput.files[0];
+            const files = Array.from(fileInput.files);
             
-            if (!file) {
+            if (files.length === 0) {
                 alert('Please select a JSON file');
                 return;
             }
@@ -211,37 +260,355 @@
             loadBtn.textContent = 'Loading...';
 
             try {
-                // Parse JSON file
-                const data = await window.jsonParser.parseFile(file);
+                await loadAnalysis(files, { type: 'file', names: files.map(file => file.name) });
+            } finally {
+                loadBtn.disabled = false;
+                loadBtn.textContent = 'Load Analysis';
+            }
+        });
+    }
 
-                console.log('Parsed data:', data);
+    /**
+     * Parse analysis files (local Files or S3 downloads) and show them in the viewer
+     * Several files are stitched into one timeline. Results are shown as soon as
+     * the first batch has been parsed.
+     */
+    async function loadAnalysis(files, source) {
+        const validationMode = document.getElementById('validationMode').value;
+        let streaming = false;
+
+        startLoadProgress();
+        document.getElementById('validationReport').style.display = 'none';
+        // The timeline falls back to the streamed results' own cadence until the gap check runs
+        window.captureGapDetector.reset();
+
+        try {
+            // Parse JSON file
+            const data = await window.jsonParser.parseFiles(files, {
+                validationMode: validationMode,
+                onProgress: (loaded, total) => updateLoadProgress(loaded, total),
+                onResults: (batch) => {
+                    // Strict mode only shows a file once it has passed validation
+                    if (validationMode === 'strict') return;
+
+                    if (!streaming) {
+                        streaming = true;
+                        document.getElementById('viewerSection').style.display = 'block';
+                        window.screenshotViewer.beginStreaming(window.jsonParser.getAllResults());
+                    } else {
+                        window.screenshotViewer.appendResults(batch);
+                    }
+                }
+            });
 
-                appState.jsonLoaded = true;
-                appState.sessionData = data;
+            console.log('Parsed data:', data);
+
+            appState.jsonLoaded = true;
+            appState.sessionData = data;
+            appState.sessionSource = source;
+            window.deepLink.setSource(source);
+
+            await loadReviews(data.stitchReport);
+
+            // Display session info
+            displaySessionInfo(data.metadata);
+            displayStitchReport(data.stitchReport);
+            displayValidationReport(data.validationReport);
+            renderRules();
+            runCaptureGapCheck();
+
+            // Replay the session through the sliding window model
+            runSimulation();
+            runAirtimeReconciliation();
+            runGameCountCheck();
+            runContinuityAnalysis();
+            runIntegrityCheck();
+            await updateSessionDiscrepancies();
+            finishLoadProgress(data.results.length, window.jsonParser.discrepancyCount);
+            window.groundTruth.setKnownGames(data.results);
+            window.queryLanguage.setGameIds(window.groundTruth.knownGames.map(game => game.gameId));
+            runGroundTruthScore();
+            runIncidents();
+            window.swimlaneChart.build(data.results);
+
+            // Load the final results into the viewer: stitching replaces the streamed array,
+            // and the filters only apply once parsing has finished. Stay on the screenshot
+            // shown while streaming.
+            const shownIndex = streaming ? window.screenshotViewer.getCurrentResult()?.index : null;
+            await window.screenshotViewer.loadResults(data.results, shownIndex ?? null);
+
+            // Update UI state
+            updateUIState();
+
+            // Scroll to viewer
+            document.getElementById('viewerSection').scrollIntoView({ behavior: 'smooth' });
+
+            // A link to a local file applies to whichever file is loaded next
+            openDeepLink(false);
+
+            return true;
+        } catch (error) {
+            // A newer load took over; it owns the viewer and progress bar now
+            if (error.superseded) return false;
+
+            console.error('Error loading JSON:', error);
+            alert('Error loading JSON file: ' + error.message);
+            appState.jsonLoaded = false;
+            document.getElementById('loadProgress').style.display = 'none';
+
+            if (error.validationReport) {
+                displayValidationReport(error.validationReport);
+            }
 
-                // Display session info
-                displaySessionInfo(data.metadata);
+            // Hide partially streamed results
+            if (streaming) {
+                document.getElementById('viewerSection').style.display = 'none';
+            }
+            return false;
+        }
+    }
 
-                // Load results into viewer
-                window.screenshotViewer.loadResults(data.results);
+    /**
+     * Reset and show the parse progress bar
+     */
+    function startLoadProgress() {
+        document.getElementById('loadProgress').style.display = 'flex';
+        document.getElementById('loadProgressBar').style.width = '0';
+        document.getElementById('loadProgressText').textContent = 'Parsing...';
+    }
 
-                // Update UI state
-                updateUIState();
+    /**
+     * Update the parse progress bar
+     */
+    function updateLoadProgress(loaded, total) {
+        const percent = total > 0 ? Math.min(100, (loaded / total) * 100) : 0;
+        const parsedCount = window.jsonParser.getAllResults().length;
 
-                // Scroll to viewer
-                document.getElementById('viewerSection').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('loadProgressBar').style.width = `${percent}%`;
+        document.getElementById('loadProgressText').textContent =
+            `${formatFileSize(loaded)} / ${formatFileSize(total)} · ${parsedCount} results`;
+    }
 
-            } catch (error) {
-                console.error('Error loading JSON:', error);
-                alert('Error loading JSON file: ' + error.message);
-                appState.jsonLoaded = false;
+    /**
+     * Show the final parse summary in the progress bar
+     */
+    function finishLoadProgress(resultCount, discrepancyCount) {
+        document.getElementById('loadProgressBar').style.width = '100%';
+        document.getElementById('loadProgressText').textContent =
+            `Loaded ${resultCount} results (${discrepancyCount} with discrepancies)`;
+    }
+
+    /**
+     * Setup S3 session browser handlers
+     * Browses <prefix><platform>/<channel>/<date>/ and loads complete_analysis.json in place
+     */
+    function setupSessionBrowserHandlers() {
+        const prefixInput = document.getElementById('analysisPrefix');
+        const platformSelect = document.getElementById('browsePlatform');
+        const channelSelect = document.getElementById('browseChannel');
+        const dateSelect = document.getElementById('browseDate');
+        const fileSelect = document.getElementById('browseFile');
+        const refreshBtn = document.getElementById('browseRefreshBtn');
+        const loadFromS3Btn = document.getElementById('loadFromS3Btn');
+
+        prefixInput.addEventListener('change', () => {
+            window.awsConfigManager.setAnalysisPrefix(prefixInput.value);
+            prefixInput.value = window.awsConfigManager.analysisPrefix;
+            refreshSessionBrowser();
+        });
+
+        refreshBtn.addEventListener('click', () => {
+            refreshSessionBrowser();
+        });
+
+        platformSelect.addEventListener('change', () => {
+            populateBrowseLevel(channelSelect, browsePrefix('platform'), 'channel');
+        });
+
+        channelSelect.addEventListener('change', () => {
+            populateBrowseLevel(dateSelect, browsePrefix('channel'), 'date');
+        });
+
+        dateSelect.addEventListener('change', () => {
+            populateAnalysisFiles();
+        });
+
+        fileSelect.addEventListener('change', () => {
+            loadFromS3Btn.disabled = fileSelect.selectedOptions.length === 0;
+        });
+
+        loadFromS3Btn.addEventListener('click', async () => {
+            const s3Keys = Array.from(fileSelect.selectedOptions).map(option => option.value);
+
+            if (s3Keys.length === 0) {
+                alert('Please select an analysis file');
+                return;
+            }
+
+            if (!appState.credentialsValidated) {
+                alert('Please validate AWS credentials first');
+                return;
+            }
+
+            loadFromS3Btn.disabled = true;
+            loadFromS3Btn.textContent = 'Downloading...';
+
+            try {
+                await loadAnalysisFromS3(s3Keys, () => {
+                    loadFromS3Btn.textContent = 'Loading...';
+                });
             } finally {
-                loadBtn.disabled = false;
-                loadBtn.textContent = 'Load Analysis';
+                loadFromS3Btn.disabled = false;
+                loadFromS3Btn.textContent = 'Load from S3';
             }
         });
     }
 
+    /**
+     * Download analysis files from S3 and load them
+     * onDownloaded runs between download and parsing. Resolves to whether the session loaded.
+     */
+    async function loadAnalysisFromS3(s3Keys, onDownloaded = null) {
+        const files = [];
+        let totalSize = 0;
+
+        try {
+            for (const s3Key of s3Keys) {
+                setBrowseStatus(`Downloading ${s3Key}...`);
+                const blob = await window.s3Client.getObjectBlob(s3Key);
+                files.push(new File([blob], s3Key, { type: blob.type }));
+                totalSize += blob.size;
+            }
+            setBrowseStatus(`Downloaded ${s3Keys.length} file(s) (${formatFileSize(totalSize)})`);
+        } catch (error) {
+            console.error('Error downloading analysis from S3:', error);
+            setBrowseStatus('✗ ' + error.message);
+            alert('Error downloading analysis from S3: ' + error.message);
+            return false;
+        }
+
+        if (onDownloaded) onDownloaded();
+        const config = window.awsConfigManager.getConfig();
+        return loadAnalysis(files, { type: 's3', bucket: config.bucketName, keys: s3Keys });
+    }
+
+    /**
+     * Build the S3 prefix for the selections down to (and including) a browse level
+     */
+    function browsePrefix(level) {
+        const levels = ['platform', 'channel', 'date'];
+        const selectIds = { platform: 'browsePlatform', channel: 'browseChannel', date: 'browseDate' };
+        let prefix = window.awsConfigManager.analysisPrefix;
+
+        for (const name of levels.slice(0, levels.indexOf(level) + 1)) {
+            prefix += document.getElementById(selectIds[name]).value + '/';
+        }
+
+        return prefix;
+    }
+
+    /**
+     * Reload the platform list and reset the lower browse levels
+     */
+    async function refreshSessionBrowser() {
+        if (!appState.credentialsValidated) return;
+
+        document.getElementById('browseRefreshBtn').disabled = false;
+        await populateBrowseLevel(
+            document.getElementById('browsePlatform'),
+            window.awsConfigManager.analysisPrefix,
+            'platform'
+        );
+    }
+
+    /**
+     * Fill a browse select with the child prefixes of the given prefix
+     */
+    async function populateBrowseLevel(selectEl, prefix, levelName) {
+        const chain = ['browsePlatform', 'browseChannel', 'browseDate', 'browseFile'];
+
+        // Reset this level and everything below it
+        chain.slice(chain.indexOf(selectEl.id)).forEach(id => {
+            const el = document.getElementById(id);
+            el.innerHTML = '';
+            el.disabled = true;
+        });
+        document.getElementById('loadFromS3Btn').disabled = true;
+
+        setBrowseStatus(`Listing ${prefix || '(bucket root)'}...`);
+
+        try {
+            const names = await window.s3Client.listChildPrefixes(prefix);
+
+            if (names.length === 0) {
+                setBrowseStatus(`No ${levelName} folders found under ${prefix || '(bucket root)'}`);
+                return;
+            }
+
+            fillSelect(selectEl, names, `Select ${levelName}...`);
+            setBrowseStatus('');
+        } catch (error) {
+            console.error('Error browsing S3:', error);
+            setBrowseStatus('✗ ' + error.message + ' (requires s3:ListBucket)');
+        }
+    }
+
+    /**
+     * Fill the analysis file select for the chosen date
+     */
+    async function populateAnalysisFiles() {
+        const fileSelect = document.getElementById('browseFile');
+        const loadFromS3Btn = document.getElementById('loadFromS3Btn');
+        const prefix = browsePrefix('date');
+
+        fileSelect.innerHTML = '';
+        fileSelect.disabled = true;
+        loadFromS3Btn.disabled = true;
+
+        setBrowseStatus(`Searching ${prefix}...`);
+
+        try {
+            const files = await window.s3Client.findAnalysisFiles(prefix);
+
+            if (files.length === 0) {
+                setBrowseStatus(`No complete_analysis.json found under ${prefix}`);
+                return;
+            }
+
+            // Preselect the first file; select several to stitch chunks of one stream
+            // Options are built as elements: S3 keys may contain quotes, "<" or "&"
+            files.forEach((file, i) => {
+                fileSelect.add(new Option(`${file.key.slice(prefix.length)} (${formatFileSize(file.size)})`, file.key, i === 0, i === 0));
+            });
+            fileSelect.size = Math.min(files.length, 5);
+            fileSelect.disabled = false;
+            loadFromS3Btn.disabled = false;
+            setBrowseStatus(files.length > 1
+                ? `${files.length} analysis files found (Ctrl/Cmd-click to stitch several)`
+                : '1 analysis file found');
+        } catch (error) {
+            console.error('Error listing analysis files:', error);
+            setBrowseStatus('✗ ' + error.message);
+        }
+    }
+
+    /**
+     * Fill a select element with options and a placeholder
+     */
+    function fillSelect(selectEl, values, placeholder) {
+        selectEl.innerHTML = `<option value="" disabled selected>${placeholder}</option>`;
+        // S3 prefix names may contain quotes, "<" or "&"
+        values.forEach(value => selectEl.add(new Option(value, value)));
+        selectEl.disabled = false;
+    }
+
+    /**
+     * Update session browser status text
+     */
+    function setBrowseStatus(text) {
+        document.getElementById('browseStatus').textContent = text;
+    }
+
     /**
      * Display session information
      */
@@ -255,13 +622,202 @@
         const stats = window.jsonParser.getDiscrepancyStats();
         document.getElementById('infoDiscrepancies').textContent = 
             `${stats.withDiscrepancies} / ${stats.total}`;
+        document.getElementById('infoFlagMismatches').textContent = stats.flagMismatch;
+        const causes = Object.entries(stats.mismatchCauses)
+            .sort((a, b) => b[1] - a[1])
+            .map(([cause, count]) => `${window.mismatchClassifier.describe(cause).label}: ${count}`);
+        document.getElementById('infoMismatchCauses').textContent = causes.join(', ') || 'None';
+        const ruleCounts = Object.entries(stats.rules)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => `${name}: ${count}`);
+        document.getElementById('infoRuleMatches').textContent = ruleCounts.join(', ') || 'None';
         
         document.getElementById('infoAnalyzedAt').textContent = 
             window.discrepancyManager.formatTimestamp(metadata.analyzedAt);
 
+        document.getElementById('infoSchemaVersion').textContent = metadata.schemaVersion || 'not declared';
+
+        const formats = new Set((metadata.chunks || []).map(chunk =>
+            (chunk.format === 'ndjson' ? 'NDJSON' : 'JSON') + (chunk.compression === 'gzip' ? ' (gzip)' : '')));
+        document.getElementById('infoFormat').textContent = [...formats].join(', ');
+
+        const source = appState.sessionSource;
+        document.getElementById('infoSource').textContent = source?.type === 's3'
+            ? source.keys.map(key => `s3://${source.bucket}/${key}`).join(', ')
+            : source?.names.join(', ') || 'Local file';
+
         document.getElementById('sessionInfo').style.display = 'block';
     }
 
+    /**
+     * Display chunk time ranges and stitching findings for multi-file sessions
+     */
+    function displayStitchReport(stitchReport) {
+        const summaryEl = document.getElementById('chunkSummary');
+
+        if (!stitchReport || stitchReport.chunks.length < 2) {
+            summaryEl.style.display = 'none';
+            return;
+        }
+
+        const formatTimestamp = (timestamp) => window.discrepancyManager.formatTimestamp(timestamp);
+        // File names, session IDs and findings come from S3 keys and file headers
+        const escape = text => window.analysisUtils.escapeHtml(text);
+
+        let html = `
+            <h3>Stitched Chunks (${stitchReport.chunks.length})</h3>
+            <table class="chunk-table">
+                <thead>
+                    <tr><th>#</th><th>File</th><th>Session ID</th><th>Start</th><th>End</th><th>Results</th><th>Indices</th></tr>
+                </thead>
+                <tbody>
+        `;
+
+        stitchReport.chunks.forEach(chunk => {
+            html += `
+                <tr>
+                    <td>${chunk.chunkIndex + 1}</td>
+                    <td>${escape(chunk.name)}</td>
+                    <td>${escape(chunk.sessionId)}</td>
+                    <td>${formatTimestamp(chunk.startTime)}</td>
+                    <td>${formatTimestamp(chunk.endTime)}</td>
+                    <td>${chunk.resultCount}</td>
+                    <td>${chunk.firstIndex ?? '-'} – ${chunk.lastIndex ?? '-'}</td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table>';
+
+        if (stitchReport.findings.length === 0) {
+            html += '<div class="chunk-findings text-success">No duplicate or overlapping results between chunks</div>';
+        } else {
+            html += '<ul class="chunk-findings">';
+            stitchReport.findings.forEach(finding => {
+                html += `<li><span class="severity-${finding.severity}">${finding.type}</span> ${escape(finding.message)}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        summaryEl.innerHTML = html;
+        summaryEl.style.display = 'block';
+    }
+
+    /**
+     * Detect the capture cadence and list periods without captures and
+     * duplicate timestamps in the session info
+     */
+    function runCaptureGapCheck() {
+        const detector = window.captureGapDetector;
+        const { cadence, gaps, duplicates } = detector.analyze(window.jsonParser.getAllResults());
+        const formatTimestamp = (timestamp) => window.discrepancyManager.formatTimestamp(timestamp);
+        const formatAirtime = (seconds) => window.discrepancyManager.formatAirtime(seconds);
+        const frameLink = (index, label) => `<a href="#" class="continuity-frame" data-index="${index}">${label}</a>`;
+        const gapsEl = document.getElementById('captureGaps');
+
+        let html = `
+            <h3>Capture Gaps (${gaps.length})</h3>
+            <div class="chunk-findings">
+                Expected cadence: ${cadence > 0 ? formatAirtime(cadence) : 'unknown'}
+                ${gaps.length > 0 ? ` · ${formatAirtime(detector.getMissingTime())} without captures` : ''}
+                ${duplicates.length > 0 ? ` · ${duplicates.length} duplicated timestamp(s)` : ''}
+            </div>
+        `;
+
+        if (gaps.length === 0) {
+            html += '<div class="chunk-findings text-success">No missing-capture periods</div>';
+        } else {
+            html += `
+                <table class="chunk-table">
+                    <thead>
+                        <tr><th>Last Before</th><th>First After</th><th>Duration</th><th>Missed Captures</th></tr>
+                    </thead>
+                    <tbody>
+                        ${gaps.map(gap => `
+                            <tr>
+                                <td>${frameLink(gap.startIndex, `#${gap.startIndex} ${formatTimestamp(gap.start)}`)}</td>
+                                <td>${frameLink(gap.endIndex, `#${gap.endIndex} ${formatTimestamp(gap.end)}`)}</td>
+                                <td>${formatAirtime(gap.duration)}</td>
+                                <td>~${gap.missedCaptures}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        if (duplicates.length > 0) {
+            html += '<ul class="chunk-findings">';
+            duplicates.forEach(duplicate => {
+                html += `<li><span class="severity-warning">duplicate timestamp</span> ${formatTimestamp(duplicate.timestamp)}:
+                    ${duplicate.indices.map(index => frameLink(index, `#${index}`)).join(', ')}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        gapsEl.innerHTML = html;
+        gapsEl.querySelectorAll('.continuity-frame').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                jumpToIndex(Number(link.dataset.index));
+            });
+        });
+        gapsEl.style.display = 'block';
+    }
+
+    /**
+     * Display the schema validation report
+     * Only the first issues are listed; the download contains all of them.
+     */
+    function displayValidationReport(report) {
+        const section = document.getElementById('validationReport');
+
+        if (!report) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const maxListed = 200;
+        const total = report.counts.error + report.counts.warning + report.counts.info;
+
+        document.getElementById('validationSummary').innerHTML = `
+            <span>Schema <strong>${report.schemaVersion}</strong> (${report.mode})</span>
+            <span class="severity-error">${report.counts.error} error(s)</span>
+            <span class="severity-warning">${report.counts.warning} warning(s)</span>
+            <span class="severity-info">${report.counts.info} info</span>
+            <span>${report.affectedResults} result(s) affected</span>
+        `;
+
+        const issuesEl = document.getElementById('validationIssues');
+
+        if (total === 0) {
+            issuesEl.innerHTML = '<div class="empty-state">All fields match the schema</div>';
+        } else {
+            const listed = report.issues.slice(0, maxListed);
+            issuesEl.innerHTML = listed.map((issue, i) => `
+                <div class="validation-issue${issue.position !== undefined && appState.jsonLoaded ? ' clickable' : ''}" data-issue="${i}">
+                    <span class="severity-${issue.severity}">${issue.severity}</span>
+                    <span class="issue-path">${issue.path}</span>
+                    <span class="issue-message">${issue.message}</span>
+                </div>
+            `).join('') + (total > listed.length
+                ? `<div class="empty-state">${total - listed.length} more issue(s) in the downloaded report</div>`
+                : '');
+
+            issuesEl.querySelectorAll('.validation-issue.clickable').forEach(el => {
+                el.addEventListener('click', () => {
+                    const issue = listed[Number(el.dataset.issue)];
+                    const result = window.jsonParser.getAllResults()[issue.position];
+                    if (result) {
+                        jumpToIndex(result.index);
+                    }
+                });
+            });
+        }
+
+        section.style.display = 'block';
+    }
+
     /**
      * Setup navigation handlers
      */
@@ -291,11 +847,7 @@
                 return;
             }
 
-            const success = window.screenshotViewer.jumpTo(index);
-            
-            if (!success) {
-                alert(`Index ${index} not found in current filter`);
-            }
+            jumpToIndex(index);
         });
 
         // Jump on Enter key
@@ -309,6 +861,61 @@
         document.getElementById('showBoundingBoxes').addEventListener('change', (e) => {
             window.screenshotViewer.toggleBoundingBoxes(e.target.checked);
         });
+
+        document.getElementById('overlayMode').addEventListener('change', (e) => {
+            window.screenshotViewer.setOverlayMode(e.target.value);
+        });
+
+        // Zoom and pan on the screenshot
+        window.canvasZoom.attach(document.getElementById('screenshotCanvas'), () => {
+            window.screenshotViewer.renderCanvas();
+        });
+
+        document.getElementById('zoomToggleBtn').addEventListener('click', () => {
+            window.screenshotViewer.toggleZoom();
+        });
+
+        window.addEventListener('resize', () => {
+            window.screenshotViewer.renderCanvas();
+            window.swimlaneChart.render();
+        });
+    }
+
+    /**
+     * Setup auto-play handlers
+     */
+    function setupPlaybackHandlers() {
+        const inputs = ['playbackMode', 'playbackSpeed', 'playbackFps', 'playbackLoop', 'playbackFrom', 'playbackTo', 'playbackPauseOnDiscrepancy']
+            .map(id => document.getElementById(id));
+
+        const readOptions = () => {
+            const mode = document.getElementById('playbackMode').value;
+            const fpsInput = document.getElementById('playbackFps');
+            const fps = Math.min(30, Math.max(0.5, parseFloat(fpsInput.value) || 2));
+            const from = parseInt(document.getElementById('playbackFrom').value);
+            const to = parseInt(document.getElementById('playbackTo').value);
+
+            fpsInput.value = fps;
+            document.getElementById('playbackSpeed').style.display = mode === 'realtime' ? '' : 'none';
+            document.getElementById('playbackFpsLabel').style.display = mode === 'fps' ? '' : 'none';
+
+            window.screenshotViewer.setPlaybackOptions({
+                mode: mode,
+                speed: parseFloat(document.getElementById('playbackSpeed').value),
+                fps: fps,
+                loop: document.getElementById('playbackLoop').checked,
+                from: isNaN(from) ? null : from,
+                to: isNaN(to) ? null : to,
+                pauseOnDiscrepancy: document.getElementById('playbackPauseOnDiscrepancy').checked
+            });
+        };
+
+        inputs.forEach(input => input.addEventListener('change', readOptions));
+        readOptions();
+
+        document.getElementById('playBtn').addEventListener('click', () => {
+            window.screenshotViewer.togglePlay();
+        });
     }
 
     /**
@@ -323,6 +930,10 @@
             window.screenshotViewer.updateFilter('mlVsPost', e.target.checked);
         });
 
+        document.getElementById('filterMismatchCause').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('mismatchCause', e.target.value);
+        });
+
         document.getElementById('filterPostVsDb').addEventListener('change', (e) => {
             window.screenshotViewer.updateFilter('postVsDb', e.target.checked);
         });
@@ -335,12 +946,42 @@
             window.screenshotViewer.updateFilter('extraInDb', e.target.checked);
         });
 
+        document.getElementById('filterFlagMismatch').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('flagMismatch', e.target.checked);
+        });
+
+        document.getElementById('filterSimulatorDiff').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('simulatorDiff', e.target.checked);
+        });
+
+        document.getElementById('filterAirtimeDrift').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('airtimeDrift', e.target.checked);
+        });
+
+        document.getElementById('filterGameCount').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('gameCountIssue', e.target.checked);
+        });
+
+        document.getElementById('filterRule').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('rule', e.target.value);
+        });
+
+        document.getElementById('filterReviewStatus').addEventListener('change', (e) => {
+            window.screenshotViewer.updateFilter('reviewStatus', e.target.value);
+        });
+
         document.getElementById('clearFiltersBtn').addEventListener('click', () => {
             // Clear all filter checkboxes
-            ['filterDiscrepancies', 'filterMlVsPost', 'filterPostVsDb', 'filterMissingInDb', 'filterExtraInDb']
-                .forEach(id => {
-                    document.getElementById(id).checked = false;
-                });
+            Object.values(FILTER_CHECKBOXES).forEach(id => {
+                document.getElementById(id).checked = false;
+            });
+            Object.values(FILTER_SELECTS).forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            document.getElementById('queryInput').value = '';
+            document.getElementById('queryPresets').value = '';
+            window.deepLink.setQuery('');
+            showQueryError(null);
 
             window.screenshotViewer.clearFilters();
         });
@@ -349,50 +990,1181 @@
             exportResults();
         });
 
+        document.getElementById('downloadValidationReportBtn').addEventListener('click', () => {
+            const report = window.jsonParser.validationReport;
+            if (!report) {
+                alert('No validation report available');
+                return;
+            }
+
+            const name = window.jsonParser.getMetadata()?.sessionId || 'rejected';
+            downloadTextFile(JSON.stringify(report, null, 2), `schema_report_${name}_${Date.now()}.json`, 'application/json');
+        });
+
         document.getElementById('highlightDiscrepancies').addEventListener('change', (e) => {
             // This would update timeline highlighting
             window.screenshotViewer.renderTimeline();
+            window.deepLink.sync();
         });
     }
 
     /**
-     * Setup keyboard shortcuts
+     * Setup query bar handlers
      */
-    function setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            if (!appState.jsonLoaded) return;
+    function setupQueryHandlers() {
+        const input = document.getElementById('queryInput');
+        const list = document.getElementById('querySuggestions');
+        const presets = document.getElementById('queryPresets');
+
+        window.queryLanguage.loadFromLocalStorage();
+        renderQueryPresets();
+
+        input.addEventListener('input', () => showQuerySuggestions());
+        input.addEventListener('blur', () => hideQuerySuggestions());
+
+        input.addEventListener('keydown', (e) => {
+            const items = list.querySelectorAll('li');
+            const open = list.style.display !== 'none' && items.length > 0;
+
+            if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                querySuggestion.active = (querySuggestion.active + step + items.length) % items.length;
+                items.forEach((item, i) => item.classList.toggle('active', i === querySuggestion.active));
+            } else if (open && (e.key === 'Tab' || e.key === 'Enter')) {
+                e.preventDefault();
+                acceptQuerySuggestion(querySuggestion.items[querySuggestion.active].value);
+            } else if (e.key === 'Escape') {
+                hideQuerySuggestions();
+            } else if (e.key === 'Enter') {
+                applyQuery();
+            }
+        });
 
-            // Ignore if typing in input field
-            if (e.target.tagName === 'INPUT') return;
+        // mousedown fires before the input loses focus
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('li');
+            if (!item) return;
+            e.preventDefault();
+            acceptQuerySuggestion(querySuggestion.items[Number(item.dataset.index)].value);
+        });
 
-            switch(e.key) {
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    window.screenshotViewer.previous();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    window.screenshotViewer.next();
-                    break;
-                case 'Home':
-                    e.preventDefault();
-                    window.screenshotViewer.first();
-                    break;
-                case 'End':
-                    e.preventDefault();
-                    window.screenshotViewer.last();
-                    break;
-                case 'b':
-                case 'B':
-                    e.preventDefault();
-                    const checkbox = document.getElementById('showBoundingBoxes');
-                    checkbox.checked = !checkbox.checked;
-                    window.screenshotViewer.toggleBoundingBoxes(checkbox.checked);
-                    break;
+        document.getElementById('applyQueryBtn').addEventListener('click', () => {
+            applyQuery();
+        });
+
+        presets.addEventListener('change', () => {
+            if (!presets.value) return;
+            input.value = window.queryLanguage.presets[presets.value];
+            applyQuery();
+        });
+
+        document.getElementById('saveQueryBtn').addEventListener('click', () => {
+            if (!input.value.trim()) {
+                alert('Type a query to save first');
+                return;
+            }
+
+            const name = prompt('Preset name:', presets.value);
+            if (name === null) return;
+
+            try {
+                window.queryLanguage.savePreset(name, input.value);
+            } catch (error) {
+                alert('Error saving preset: ' + error.message);
+                return;
+            }
+            renderQueryPresets(name.trim());
+        });
+
+        document.getElementById('deleteQueryBtn').addEventListener('click', () => {
+            if (!presets.value) {
+                alert('Select a preset to delete');
+                return;
             }
+            if (!confirm(`Delete preset "${presets.value}"?`)) return;
+
+            window.queryLanguage.deletePreset(presets.value);
+            renderQueryPresets();
         });
     }
 
+    /**
+     * Fill the preset dropdown
+     */
+    function renderQueryPresets(selected = '') {
+        const names = Object.keys(window.queryLanguage.presets).sort();
+        const escape = text => window.analysisUtils.escapeHtml(text);
+
+        document.getElementById('queryPresets').innerHTML = '<option value="">Presets…</option>' +
+            names.map(name => `<option value="${escape(name)}"${name === selected ? ' selected' : ''}>${escape(name)}</option>`).join('');
+    }
+
+    /**
+     * Show completions for the word at the cursor of the query bar
+     */
+    function showQuerySuggestions() {
+        const input = document.getElementById('queryInput');
+        const list = document.getElementById('querySuggestions');
+
+        querySuggestion = { ...window.queryLanguage.suggest(input.value, input.selectionStart), active: 0 };
+        if (querySuggestion.items.length === 0) {
+            hideQuerySuggestions();
+            return;
+        }
+
+        list.innerHTML = querySuggestion.items.map((item, i) => `
+            <li data-index="${i}" class="${i === 0 ? 'active' : ''}">
+                <span class="query-suggestion-value">${window.analysisUtils.escapeHtml(item.value)}</span>
+                <span class="text-muted">${window.analysisUtils.escapeHtml(item.description)}</span>
+            </li>
+        `).join('');
+        list.style.display = 'block';
+    }
+
+    /**
+     * Close the completion list
+     */
+    function hideQuerySuggestions() {
+        document.getElementById('querySuggestions').style.display = 'none';
+    }
+
+    /**
+     * Replace the word at the cursor with a completion
+     */
+    function acceptQuerySuggestion(value) {
+        const input = document.getElementById('queryInput');
+        const { from, to } = querySuggestion;
+        const rest = input.value.slice(to);
+        const insert = rest.startsWith(' ') ? value : value + ' ';
+
+        input.value = input.value.slice(0, from) + insert + rest;
+        input.setSelectionRange(from + insert.length, from + insert.length);
+        showQuerySuggestions();
+    }
+
+    /**
+     * Compile the query bar and filter the viewer by it
+     * Combines with the checkbox filters; an empty query removes the query filter.
+     */
+    function applyQuery() {
+        hideQuerySuggestions();
+
+        const text = document.getElementById('queryInput').value;
+        let condition;
+        try {
+            condition = window.queryLanguage.compile(text);
+        } catch (error) {
+            showQueryError(error.message);
+            return;
+        }
+
+        showQueryError(null);
+        window.deepLink.setQuery(text);
+        window.screenshotViewer.updateFilter('query', condition);
+    }
+
+    /**
+     * Show a query syntax error below the query bar, or hide it
+     */
+    function showQueryError(message) {
+        const errorEl = document.getElementById('queryError');
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Setup sliding window simulator handlers
+     */
+    function setupSimulatorHandlers() {
+        const inputs = {
+            windowSize: document.getElementById('simWindowSize'),
+            minHits: document.getElementById('simMinHits'),
+            minConfidence: document.getElementById('simMinConfidence')
+        };
+
+        showSimulatorParams(window.windowSimulator.params);
+
+        Object.entries(inputs).forEach(([name, input]) => {
+            // Update the labels while dragging, re-run once the value is set
+            input.addEventListener('input', () => {
+                const params = window.windowSimulator.setParams({ [name]: parseFloat(input.value) });
+                showSimulatorParams(params);
+            });
+
+            input.addEventListener('change', () => {
+                if (appState.jsonLoaded) {
+                    runSimulation();
+                    runIncidents();
+                    refreshViewer();
+                }
+            });
+        });
+
+        document.getElementById('simulatorResetBtn').addEventListener('click', () => {
+            showSimulatorParams(window.windowSimulator.resetParams());
+            if (appState.jsonLoaded) {
+                runSimulation();
+                runIncidents();
+                refreshViewer();
+            }
+        });
+    }
+
+    /**
+     * Reflect simulator parameters in the sliders and labels
+     */
+    function showSimulatorParams(params) {
+        document.getElementById('simWindowSize').value = params.windowSize;
+        document.getElementById('simMinHits').value = params.minHits;
+        document.getElementById('simMinHits').max = params.windowSize;
+        document.getElementById('simMinConfidence').value = params.minConfidence;
+
+        document.getElementById('simWindowSizeValue').textContent = params.windowSize;
+        document.getElementById('simMinHitsValue').textContent = params.minHits;
+        document.getElementById('simMinConfidenceValue').textContent = params.minConfidence.toFixed(2);
+    }
+
+    /**
+     * Replay the loaded session through the sliding window model
+     */
+    function runSimulation() {
+        const summary = window.windowSimulator.run(window.jsonParser.getAllResults());
+
+        document.getElementById('simulatorSummary').textContent = summary.compared > 0
+            ? `${summary.differing} of ${summary.compared} frames differ from post-processing (${window.windowSimulator.describeParams()})`
+            : 'No post-processing output to compare against';
+        document.getElementById('simulatorPanel').style.display = 'block';
+    }
+
+    /**
+     * Setup airtime reconciliation handlers
+     */
+    function setupAirtimeHandlers() {
+        const input = document.getElementById('airtimeTolerance');
+        input.value = window.airtimeReconciler.tolerance;
+
+        input.addEventListener('change', async () => {
+            input.value = window.airtimeReconciler.setTolerance(input.value);
+            if (appState.jsonLoaded) {
+                runAirtimeReconciliation();
+                await updateSessionDiscrepancies();
+                runIncidents();
+                refreshViewer();
+            }
+        });
+    }
+
+    /**
+     * Reconcile DB airtime with the screenshots and show the table
+     */
+    function runAirtimeReconciliation() {
+        const reconciler = window.airtimeReconciler;
+        const sessions = reconciler.run(window.jsonParser.getAllResults());
+        const drifting = sessions.filter(entry => entry.exceeds).length;
+        const format = seconds => window.discrepancyManager.formatAirtime(seconds);
+        const drift = seconds => window.discrepancyManager.formatDrift(seconds);
+        const time = timestamp => window.discrepancyManager.formatTimestamp(timestamp);
+
+        document.getElementById('airtimeSummary').textContent = sessions.length > 0
+            ? `${drifting} of ${sessions.length} DB session(s) drift more than ${reconciler.tolerance}s from the screenshots ` +
+              `(one screenshot every ${reconciler.frameInterval}s)`
+            : 'No DB sessions in this analysis';
+
+        const tableEl = document.getElementById('airtimeTable');
+        tableEl.innerHTML = sessions.length === 0 ? '' : `
+            <table class="airtime-table">
+                <thead>
+                    <tr>
+                        <th>Game</th>
+                        <th>Session ID</th>
+                        <th>Screenshots</th>
+                        <th>Expected</th>
+                        <th>DB Airtime</th>
+                        <th>Drift</th>
+                        <th>First Seen / DB Start</th>
+                        <th>Last Seen / DB End</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessions.map((entry, i) => `
+                        <tr class="${entry.exceeds ? 'drift' : ''}${entry.firstIndex !== null ? ' clickable' : ''}" data-session="${i}">
+                            <td>${entry.gameName || entry.gameIdentifier}</td>
+                            <td class="session-id">${entry.gameSessionId}</td>
+                            <td>${entry.frameCount}</td>
+                            <td>${format(entry.estimatedAirtime)} (${entry.estimatedAirtime.toFixed(0)}s)</td>
+                            <td>${format(entry.dbAirtime)} (${entry.dbAirtime}s)</td>
+                            <td>${drift(entry.airtimeDrift)}</td>
+                            <td>${time(entry.observedStart)}<br>${time(entry.dbStart)} (${drift(entry.startDrift)})</td>
+                            <td>${time(entry.observedEnd)}<br>${entry.dbEnd ? `${time(entry.dbEnd)} (${drift(entry.endDrift)})` : 'open'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        tableEl.querySelectorAll('tr.clickable').forEach(row => {
+            row.addEventListener('click', () => {
+                jumpToIndex(sessions[Number(row.dataset.session)].firstIndex);
+            });
+        });
+
+        document.getElementById('airtimePanel').style.display = 'block';
+    }
+
+    /**
+     * Setup game count alignment handlers
+     */
+    function setupGameCountHandlers() {
+        const input = document.getElementById('gameCountTolerance');
+        input.value = window.gameCountChecker.tolerance;
+
+        input.addEventListener('change', async () => {
+            input.value = window.gameCountChecker.setTolerance(input.value);
+            if (appState.jsonLoaded) {
+                runGameCountCheck();
+                await updateSessionDiscrepancies();
+                runIncidents();
+                refreshViewer();
+            }
+        });
+    }
+
+    /**
+     * Check db_game_counts against the screenshots and show the per-game table
+     */
+    function runGameCountCheck() {
+        const checker = window.gameCountChecker;
+        const totals = checker.run(window.jsonParser.getAllResults());
+        const games = checker.games;
+
+        document.getElementById('gameCountSummary').textContent = totals.checked > 0
+            ? `${totals.missing} missing, ${totals.duplicate} duplicated and ${totals['wrong-game']} wrong-game count row(s) ` +
+              `across ${totals.checked} post-processed screenshot(s) (rows within ${checker.tolerance}s)`
+            : 'No post-processing output to check against';
+
+        const tableEl = document.getElementById('gameCountTable');
+        tableEl.innerHTML = games.length === 0 ? '' : `
+            <table class="airtime-table">
+                <thead>
+                    <tr>
+                        <th>Game</th>
+                        <th>Screenshots</th>
+                        <th>Missing</th>
+                        <th>Duplicated</th>
+                        <th>Wrong Game</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${games.map((entry, i) => `
+                        <tr class="${entry.firstIssueIndex !== null ? 'drift clickable' : ''}" data-game="${i}">
+                            <td>${entry.gameId}</td>
+                            <td>${entry.expected}</td>
+                            <td>${entry.missing}</td>
+                            <td>${entry.duplicate}</td>
+                            <td>${entry['wrong-game']}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        tableEl.querySelectorAll('tr.clickable').forEach(row => {
+            row.addEventListener('click', () => {
+                jumpToIndex(games[Number(row.dataset.game)].firstIssueIndex);
+            });
+        });
+
+        document.getElementById('gameCountPanel').style.display = 'block';
+    }
+
+    /**
+     * Follow each game across the session and list continuity findings
+     */
+    function runContinuityAnalysis() {
+        const findings = window.continuityAnalyzer.run(window.jsonParser.getAllResults());
+        const counts = {};
+        findings.forEach(finding => {
+            counts[finding.title] = (counts[finding.title] || 0) + 1;
+        });
+
+        document.getElementById('continuitySummary').textContent = findings.length > 0
+            ? Object.entries(counts).map(([title, count]) => `${count} ${title}`).join(' · ')
+            : 'Every game session is continuous';
+
+        const findingsEl = document.getElementById('continuityFindings');
+        findingsEl.innerHTML = findings.map(finding => `
+            <div class="continuity-finding">
+                <div class="continuity-finding-header">
+                    <span class="severity-${finding.severity}">${finding.title}</span>
+                    <strong>${finding.gameId}</strong>
+                </div>
+                <div>${finding.message}</div>
+                <div class="continuity-sessions">${finding.sessionIds.join(', ')}</div>
+                <div class="continuity-frames">
+                    ${finding.frames.map(frame => `
+                        <a href="#" class="continuity-frame" data-index="${frame.index}">
+                            #${frame.index} ${window.discrepancyManager.formatTimestamp(frame.timestamp)}
+                        </a>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        findingsEl.querySelectorAll('.continuity-frame').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                jumpToIndex(Number(link.dataset.index));
+            });
+        });
+
+        document.getElementById('continuityPanel').style.display = 'block';
+    }
+
+    /**
+     * Count airtime drift, game count issues and continuity findings as discrepancies
+     * Keeps "Only discrepancies", the timeline colours and the session counts in step
+     * with the session checks.
+     */
+    async function updateSessionDiscrepancies() {
+        try {
+            await window.jsonParser.setSessionChecks(result =>
+                window.airtimeReconciler.hasDrift(result) ||
+                window.gameCountChecker.hasIssues(result) ||
+                window.continuityAnalyzer.getFindingsAt(result).length > 0);
+        } catch (error) {
+            alert('Error updating discrepancies: ' + error.message);
+        }
+        displaySessionInfo(window.jsonParser.getMetadata());
+    }
+
+    /**
+     * Check the DB sessions for internal consistency and list the findings
+     */
+    function runIntegrityCheck() {
+        const findings = window.sessionIntegrityChecker.run(window.jsonParser.getAllResults());
+        const counts = {};
+        findings.forEach(finding => {
+            counts[finding.title] = (counts[finding.title] || 0) + 1;
+        });
+
+        document.getElementById('integritySummary').textContent = findings.length > 0
+            ? Object.entries(counts).map(([title, count]) => `${count} ${title}`).join(' · ')
+            : 'All DB sessions are consistent';
+
+        const findingsEl = document.getElementById('integrityFindings');
+        findingsEl.innerHTML = findings.map(finding => `
+            <div class="continuity-finding">
+                <div class="continuity-finding-header">
+                    <span class="severity-${finding.severity}">${finding.title}</span>
+                    ${finding.gameIdentifier ? `<strong>${finding.gameIdentifier}</strong>` : ''}
+                </div>
+                <div>${finding.message}</div>
+                <div class="continuity-sessions">${finding.sessionIds.join(', ')}</div>
+                <div class="continuity-frames">
+                    ${finding.frames.map(frame => `
+                        <a href="#" class="continuity-frame" data-index="${frame.index}">
+                            #${frame.index} ${window.discrepancyManager.formatTimestamp(frame.timestamp)}
+                        </a>
+                    `).join('')}
+                    <span class="integrity-count">${finding.screenshotCount} screenshot(s)</span>
+                </div>
+            </div>
+        `).join('');
+
+        findingsEl.querySelectorAll('.continuity-frame').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                jumpToIndex(Number(link.dataset.index));
+            });
+        });
+
+        document.getElementById('integrityPanel').style.display = 'block';
+    }
+
+    /**
+     * Setup incident panel handlers
+     */
+    function setupIncidentHandlers() {
+        document.getElementById('incidentTypeFilter').addEventListener('change', (e) => {
+            const tracker = window.incidentTracker;
+            tracker.typeFilter = e.target.value;
+            tracker.render(goToIncident);
+
+            const current = window.screenshotViewer.getCurrentResult();
+            if (current) {
+                tracker.highlightCurrent(current);
+            }
+        });
+
+        document.getElementById('prevIncidentBtn').addEventListener('click', () => {
+            stepIncident(-1);
+        });
+
+        document.getElementById('nextIncidentBtn').addEventListener('click', () => {
+            stepIncident(1);
+        });
+    }
+
+    /**
+     * Group the loaded results into incidents and show the panel
+     */
+    function runIncidents() {
+        window.incidentTracker.build(window.jsonParser.getAllResults());
+        window.incidentTracker.render(goToIncident);
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) incident
+     */
+    function stepIncident(direction) {
+        const tracker = window.incidentTracker;
+        const current = window.screenshotViewer.getCurrentResult();
+        const incident = direction > 0 ? tracker.findNext(current) : tracker.findPrevious(current);
+
+        if (incident) {
+            goToIncident(incident);
+        }
+    }
+
+    /**
+     * Show the first result of an incident that passes the current filters
+     */
+    function goToIncident(incident) {
+        const results = window.jsonParser.getAllResults();
+        const visible = new Set(window.screenshotViewer.filteredResults);
+
+        for (let position = incident.startPosition; position <= incident.endPosition; position++) {
+            if (visible.has(results[position])) {
+                window.screenshotViewer.jumpTo(results[position].index);
+                return;
+            }
+        }
+
+        alert(`Incident at index ${incident.startIndex} not found in current filter`);
+    }
+
+    /**
+     * Setup discrepancy rule handlers
+     */
+    function setupRulesHandlers() {
+        try {
+            window.rulesEngine.setRules(window.rulesEngine.loadFromLocalStorage());
+        } catch (error) {
+            console.error('Ignoring invalid saved rules:', error);
+        }
+        renderRules();
+
+        document.getElementById('addRuleBtn').addEventListener('click', async () => {
+            const editor = document.getElementById('ruleEditor');
+            let rule;
+            try {
+                rule = JSON.parse(editor.value);
+            } catch (error) {
+                alert('Invalid rule JSON: ' + error.message);
+                return;
+            }
+
+            // Adding a rule with an existing name replaces it
+            const rules = window.rulesEngine.withoutRule(rule?.name);
+            if (await updateRules([...rules, rule])) {
+                editor.value = '';
+            }
+        });
+
+        document.getElementById('importRulesBtn').addEventListener('click', () => {
+            document.getElementById('rulesFile').click();
+        });
+
+        document.getElementById('rulesFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const rules = window.rulesEngine.parseRulesFile(await file.text());
+                await updateRules(rules);
+            } catch (error) {
+                alert('Error importing rules: ' + error.message);
+            }
+        });
+
+        document.getElementById('exportRulesBtn').addEventListener('click', () => {
+            downloadTextFile(window.rulesEngine.exportRules(), `discrepancy_rules_${Date.now()}.json`, 'application/json');
+        });
+    }
+
+    /**
+     * Setup ground-truth labelling handlers
+     */
+    function setupGroundTruthHandlers() {
+        window.groundTruth.loadFromLocalStorage();
+        window.groundTruth.attach(runGroundTruthScore);
+
+        document.getElementById('labelModeBtn').addEventListener('click', toggleLabeling);
+
+        document.getElementById('importLabelsBtn').addEventListener('click', () => {
+            document.getElementById('labelsFile').click();
+        });
+
+        document.getElementById('labelsFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const count = window.groundTruth.importLabels(await file.text());
+                alert(`Imported ${count} label(s)`);
+            } catch (error) {
+                alert('Error importing labels: ' + error.message);
+                return;
+            }
+            window.groundTruth.renderLabeler(window.screenshotViewer.getCurrentResult());
+            runGroundTruthScore();
+        });
+
+        document.getElementById('exportLabelsBtn').addEventListener('click', () => {
+            downloadTextFile(window.groundTruth.exportLabels(), `ground_truth_labels_${Date.now()}.json`, 'application/json');
+        });
+    }
+
+    /**
+     * Setup review export / import handlers
+     */
+    function setupReviewHandlers() {
+        // Timeline markers and tooltips show the saved status and notes
+        window.reviewStore.attach(() => window.screenshotViewer.renderTimeline());
+
+        document.getElementById('exportReviewBtn').addEventListener('click', () => {
+            const sessionId = window.jsonParser.getMetadata()?.sessionId || 'session';
+            downloadTextFile(window.reviewStore.exportReviews(), `review_${sessionId}_${Date.now()}.json`, 'application/json');
+        });
+
+        document.getElementById('importReviewBtn').addEventListener('click', () => {
+            document.getElementById('reviewFile').click();
+        });
+
+        document.getElementById('reviewFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const count = await window.reviewStore.importReviews(await file.text());
+                alert(`Imported ${count} review(s); reviews older than the ones already saved were skipped`);
+            } catch (error) {
+                alert('Error importing review: ' + error.message);
+                return;
+            }
+            if (appState.jsonLoaded) {
+                refreshViewer();
+            }
+        });
+    }
+
+    /**
+     * Load the saved reviews of the loaded analysis sessions
+     * The session stays usable without reviews when IndexedDB is unavailable.
+     */
+    async function loadReviews(stitchReport) {
+        const sessionIds = stitchReport
+            ? stitchReport.chunks.map(chunk => chunk.sessionId)
+            : [window.jsonParser.getMetadata()?.sessionId];
+
+        try {
+            await window.reviewStore.loadSessions(sessionIds);
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            alert('Saved reviews could not be loaded: ' + error.message);
+        }
+    }
+
+    /**
+     * Switch labelling mode on or off
+     */
+    function toggleLabeling() {
+        const labeler = window.groundTruth;
+        labeler.active = !labeler.active;
+        document.getElementById('labelModeBtn').classList.toggle('active', labeler.active);
+        labeler.renderLabeler(window.screenshotViewer.getCurrentResult());
+    }
+
+    /**
+     * Score each stage against the ground-truth labels of the loaded session
+     */
+    function runGroundTruthScore() {
+        if (!appState.jsonLoaded) return;
+
+        const chunks = appState.sessionData.stitchReport?.chunks || [];
+        const metadataSessionId = window.jsonParser.getMetadata()?.sessionId;
+        const { labelled, total, sessions } = window.groundTruth.score(
+            window.jsonParser.getAllResults(),
+            result => chunks[result.chunk]?.sessionId || metadataSessionId || 'unknown'
+        );
+        const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+        document.getElementById('groundTruthSummary').textContent = labelled > 0
+            ? `${labelled} of ${total} screenshot(s) labelled`
+            : 'No screenshots labelled yet — press L in the viewer to start labelling';
+
+        document.getElementById('groundTruthTable').innerHTML = labelled === 0 ? '' : sessions
+            .filter(session => session.labelled > 0)
+            .map(session => `
+            <h4 class="ground-truth-session">
+                Session <span class="session-id">${window.analysisUtils.escapeHtml(session.sessionId)}</span>: ${session.labelled} of ${session.total} labelled
+            </h4>
+            <table class="airtime-table">
+                <thead>
+                    <tr>
+                        <th>Stage</th>
+                        <th>Precision</th>
+                        <th>Recall</th>
+                        <th>F1</th>
+                        <th>True Positives</th>
+                        <th>False Positives</th>
+                        <th>False Negatives</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.values(session.stages).map(stage => `
+                        <tr>
+                            <td>${stage.label}</td>
+                            <td>${percent(stage.precision)}</td>
+                            <td>${percent(stage.recall)}</td>
+                            <td>${percent(stage.f1)}</td>
+                            <td>${stage.tp}</td>
+                            <td>${stage.fp}</td>
+                            <td>${stage.fn}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `).join('');
+
+        document.getElementById('groundTruthPanel').style.display = 'block';
+    }
+
+    /**
+     * Activate a new rule set and re-evaluate the loaded session
+     * Returns false (after alerting) when the rules are invalid.
+     */
+    async function updateRules(rules) {
+        const previous = window.rulesEngine.rules;
+        try {
+            window.rulesEngine.setRules(rules);
+        } catch (error) {
+            window.rulesEngine.rules = previous;
+            alert('Invalid rule: ' + error.message);
+            return false;
+        }
+
+        window.rulesEngine.saveToLocalStorage();
+        renderRules();
+
+        if (appState.jsonLoaded) {
+            try {
+                await window.jsonParser.setRules(window.rulesEngine.rules);
+            } catch (error) {
+                alert('Error applying rules: ' + error.message);
+            }
+            // List the rules that failed on the session
+            renderRules();
+            displaySessionInfo(window.jsonParser.getMetadata());
+            runIncidents();
+            refreshViewer();
+        }
+        return true;
+    }
+
+    /**
+     * Render the rule list and the rule filter options
+     */
+    function renderRules() {
+        const rules = window.rulesEngine.rules;
+        // Rules come from imported files and localStorage
+        const escape = text => window.analysisUtils.escapeHtml(text);
+        const errorOf = rule => Object.hasOwn(window.rulesEngine.errors, rule.name) ? window.rulesEngine.errors[rule.name] : null;
+        const listEl = document.getElementById('rulesList');
+
+        listEl.innerHTML = rules.length === 0
+            ? '<div class="empty-state">No rules defined</div>'
+            : rules.map((rule, i) => `
+                <div class="rule-item">
+                    <div class="rule-item-header">
+                        <span class="severity-${rule.severity}">${rule.severity}</span>
+                        <strong>${escape(rule.name)}</strong>
+                        <span class="rule-item-actions">
+                            <button class="btn-secondary rule-edit" data-rule="${i}">Edit</button>
+                            <button class="btn-secondary rule-remove" data-rule="${i}">Remove</button>
+                        </span>
+                    </div>
+                    ${rule.description ? `<div class="rule-description">${escape(rule.description)}</div>` : ''}
+                    ${errorOf(rule) ? `
+                        <div class="rule-error">
+                            Failed on ${errorOf(rule).count} result(s), first at index ${errorOf(rule).index}: ${escape(errorOf(rule).message)}
+                        </div>
+                    ` : ''}
+                    <code class="rule-condition">${escape(JSON.stringify(rule.condition))}</code>
+                </div>
+            `).join('');
+
+        listEl.querySelectorAll('.rule-edit').forEach(button => {
+            button.addEventListener('click', () => {
+                const rule = rules[Number(button.dataset.rule)];
+                document.getElementById('ruleEditor').value = JSON.stringify(rule, null, 2);
+            });
+        });
+
+        listEl.querySelectorAll('.rule-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                updateRules(window.rulesEngine.withoutRule(rules[Number(button.dataset.rule)].name));
+            });
+        });
+
+        // Keep the selected rule if it still exists
+        const select = document.getElementById('filterRule');
+        const selected = rules.some(rule => rule.name === select.value) || select.value === '*'
+            ? select.value
+            : '';
+        select.innerHTML = '<option value="">Any</option><option value="*">Any rule matched</option>';
+        rules.forEach(rule => select.add(new Option(rule.name, rule.name)));
+        select.value = selected;
+        window.screenshotViewer.filterCriteria.rule = selected;
+    }
+
+    /**
+     * Setup swimlane chart handlers
+     */
+    function setupSwimlaneHandlers() {
+        window.swimlaneChart.attach(document.getElementById('swimlaneCanvas'), jumpToTime);
+
+        document.getElementById('swimlaneResetBtn').addEventListener('click', () => {
+            window.swimlaneChart.resetView();
+            window.swimlaneChart.render();
+        });
+    }
+
+    /**
+     * Jump to a screenshot by index, telling the user when the filters hide it
+     */
+    function jumpToIndex(index) {
+        if (!window.screenshotViewer.jumpTo(index)) {
+            alert(`Index ${index} not found in current filter`);
+        }
+    }
+
+    /**
+     * Jump to the screenshot (in the current filter) closest to a time
+     */
+    function jumpToTime(time) {
+        const viewer = window.screenshotViewer;
+        let closest = null;
+        let closestDistance = Infinity;
+
+        viewer.filteredResults.forEach(result => {
+            const distance = Math.abs(Date.parse(result.screenshot?.timestamp) - time);
+            if (distance < closestDistance) {
+                closest = result;
+                closestDistance = distance;
+            }
+        });
+
+        if (closest) {
+            viewer.jumpTo(closest.index);
+        }
+    }
+
+    /**
+     * Re-apply filters and redraw the timeline and current result
+     */
+    function refreshViewer() {
+        const viewer = window.screenshotViewer;
+        viewer.updateFilter('simulatorDiff', viewer.filterCriteria.simulatorDiff);
+    }
+
+    /**
+     * Setup image cache settings handlers
+     */
+    function setupImageCacheHandlers() {
+        const cache = window.s3Client.imageCache;
+        const inputs = {
+            memoryLimitMb: document.getElementById('cacheMemoryLimit'),
+            diskLimitMb: document.getElementById('cacheDiskLimit')
+        };
+        const persistentInput = document.getElementById('cachePersistent');
+
+        const settings = cache.setSettings(cache.loadFromLocalStorage());
+        inputs.memoryLimitMb.value = settings.memoryLimitMb;
+        inputs.diskLimitMb.value = settings.diskLimitMb;
+        persistentInput.checked = settings.persistent;
+
+        cache.attach(() => displayImageCacheUsage());
+        displayImageCacheUsage();
+
+        Object.entries(inputs).forEach(([name, input]) => {
+            input.addEventListener('change', () => {
+                input.value = cache.setSettings({ [name]: input.value })[name];
+                displayImageCacheUsage();
+                if (name === 'diskLimitMb' && cache.settings.persistent) {
+                    cache.evictStored().catch(error => console.error('Error trimming image cache:', error));
+                }
+            });
+        });
+
+        persistentInput.addEventListener('change', () => {
+            cache.setSettings({ persistent: persistentInput.checked });
+            displayImageCacheUsage();
+        });
+
+        document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+            if (!confirm('Remove all cached screenshots from memory and browser storage?')) return;
+
+            try {
+                await window.s3Client.clearCache();
+            } catch (error) {
+                alert('Error clearing image cache: ' + error.message);
+            }
+            if (appState.jsonLoaded) {
+                window.screenshotViewer.displayCurrent();
+            }
+        });
+    }
+
+    /**
+     * Show memory and IndexedDB usage of the image cache
+     * IndexedDB usage is counted the first time the persistent tier is shown.
+     */
+    function displayImageCacheUsage() {
+        const cache = window.s3Client.imageCache;
+        const usage = cache.getUsage();
+        const parts = [
+            `Memory: ${formatFileSize(usage.memoryBytes)} / ${formatFileSize(usage.memoryLimit)} (${usage.memoryCount} images)`
+        ];
+
+        if (usage.storedBytes !== null) {
+            parts.push(`Browser storage: ${formatFileSize(usage.storedBytes)} / ${formatFileSize(usage.diskLimit)} (${usage.storedCount} images)`);
+        } else if (cache.settings.persistent) {
+            parts.push('Browser storage: counting…');
+            cache.getStoredUsage()
+                .then(() => displayImageCacheUsage())
+                .catch(error => {
+                    document.getElementById('cacheUsage').textContent = `${parts[0]} · Browser storage unavailable: ${error.message}`;
+                });
+        }
+
+        document.getElementById('cacheUsage').textContent = parts.join(' · ');
+    }
+
+    /**
+     * Setup deep link handlers
+     * A link in the URL hash is opened once credentials are validated.
+     */
+    function setupDeepLinkHandlers() {
+        window.deepLink.pending = window.deepLink.parse(location.hash);
+
+        if (window.deepLink.pending?.keys.length > 0) {
+            const statusEl = document.getElementById('credentialStatus');
+            statusEl.textContent = 'Validate credentials to open the linked session';
+            statusEl.className = 'credential-status';
+        }
+
+        // A link pasted into the address bar of an open tab
+        window.addEventListener('hashchange', () => {
+            window.deepLink.pending = window.deepLink.parse(location.hash);
+            openDeepLink();
+        });
+    }
+
+    /**
+     * Open the pending link: load its S3 session if needed, then restore its view
+     * With loadSession false, only links to the loaded session (or to no S3 session) are restored.
+     * Errors are reported here, so callers need not await it.
+     */
+    async function openDeepLink(loadSession = true) {
+        const link = window.deepLink.pending;
+        if (!link) return;
+
+        try {
+            if (link.keys.length > 0 && !window.deepLink.isLoaded(link)) {
+                if (!loadSession || !appState.credentialsValidated) return;
+                window.deepLink.pending = null;
+
+                const bucket = window.awsConfigManager.getConfig().bucketName;
+                if (link.bucket && link.bucket !== bucket) {
+                    alert(`This link points to bucket "${link.bucket}", but the credentials are for "${bucket}"`);
+                    return;
+                }
+                if (!await loadAnalysisFromS3(link.keys)) return;
+            } else if (!appState.jsonLoaded) {
+                return;
+            }
+
+            window.deepLink.pending = null;
+            await restoreDeepLinkView(link);
+        } catch (error) {
+            console.error('Error opening link:', error);
+            alert('Error opening link: ' + error.message);
+        }
+    }
+
+    /**
+     * Set the filter, query and overlay controls from a link and show its screenshot
+     */
+    async function restoreDeepLinkView(link) {
+        const viewer = window.screenshotViewer;
+        viewer.pause();
+        window.deepLink.restoring = true;
+
+        try {
+            Object.entries(FILTER_CHECKBOXES).forEach(([name, id]) => {
+                document.getElementById(id).checked = link.filters[name];
+            });
+            Object.entries(FILTER_SELECTS).forEach(([name, id]) => {
+                document.getElementById(id).value = link.filters[name];
+            });
+
+            let query = null;
+            document.getElementById('queryInput').value = link.query;
+            try {
+                query = window.queryLanguage.compile(link.query);
+                window.deepLink.setQuery(link.query);
+                showQueryError(null);
+            } catch (error) {
+                window.deepLink.setQuery('');
+                showQueryError(error.message);
+            }
+
+            document.getElementById('showBoundingBoxes').checked = link.overlay.boxes;
+            viewer.toggleBoundingBoxes(link.overlay.boxes);
+            if (OVERLAY_MODES[link.overlay.mode]) {
+                document.getElementById('overlayMode').value = link.overlay.mode;
+                viewer.setOverlayMode(link.overlay.mode);
+            }
+            document.getElementById('highlightDiscrepancies').checked = link.overlay.highlight;
+
+            if (!await viewer.setFilters({ ...link.filters, query })) return;
+
+            if (link.index === null || !viewer.jumpTo(link.index)) {
+                viewer.displayCurrent();
+                if (link.index !== null) {
+                    alert(`Screenshot ${link.index} of the link is not in this session or is hidden by its filters`);
+                }
+            }
+        } finally {
+            window.deepLink.restoring = false;
+        }
+
+        window.deepLink.sync();
+    }
+
+    /**
+     * Setup keyboard shortcuts
+     */
+    function setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!appState.jsonLoaded) return;
+
+            // Ignore if typing in input field
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (window.groundTruth.active && handleLabelKey(e)) return;
+
+            switch(e.key) {
+                case ' ':
+                    // A focused button handles Space itself
+                    if (e.target.tagName === 'BUTTON') return;
+                    e.preventDefault();
+                    window.screenshotViewer.togglePlay();
+                    break;
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    window.screenshotViewer.previous();
+                    break;
+                case 'ArrowRight':
+                    e.preventDefault();
+                    window.screenshotViewer.next();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    window.screenshotViewer.first();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    window.screenshotViewer.last();
+                    break;
+                case 'n':
+                case 'N':
+                    e.preventDefault();
+                    stepIncident(1);
+                    break;
+                case 'p':
+                case 'P':
+                    e.preventDefault();
+                    stepIncident(-1);
+                    break;
+                case 'f':
+                case 'F':
+                    e.preventDefault();
+                    window.screenshotViewer.toggleZoom();
+                    break;
+                case 'b':
+                case 'B':
+                    e.preventDefault();
+                    const checkbox = document.getElementById('showBoundingBoxes');
+                    checkbox.checked = !checkbox.checked;
+                    window.screenshotViewer.toggleBoundingBoxes(checkbox.checked);
+                    break;
+                case 'l':
+                case 'L':
+                    e.preventDefault();
+                    toggleLabeling();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Labelling mode keys: 1-9 toggle a game, [ ] turn the game page,
+     * 0 labels the screenshot as showing no games, Enter confirms and moves on,
+     * Delete removes the label
+     * Returns true when the key was handled.
+     */
+    function handleLabelKey(e) {
+        const labeler = window.groundTruth;
+        const result = window.screenshotViewer.getCurrentResult();
+        if (!result) return false;
+
+        try {
+            if (/^[1-9]$/.test(e.key)) {
+                labeler.toggleGameAt(result, Number(e.key));
+            } else if (e.key === '0') {
+                labeler.setLabels(result, []);
+            } else if (e.key === '[' || e.key === ']') {
+                labeler.turnPage(e.key === ']' ? 1 : -1);
+            } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                labeler.clearLabels(result);
+            } else if (e.key === 'Enter') {
+                // A focused button handles Enter itself
+                if (e.target.tagName === 'BUTTON') return false;
+                labeler.setLabels(result, labeler.getLabels(result) || []);
+                e.preventDefault();
+                runGroundTruthScore();
+                window.screenshotViewer.next();
+                return true;
+            } else {
+                return false;
+            }
+        } catch (error) {
+            alert(error.message);
+            return true;
+        }
+
+        e.preventDefault();
+        labeler.renderLabeler(result);
+        runGroundTruthScore();
+        return true;
+    }
+
     /**
      * Update UI state based on app state
      */
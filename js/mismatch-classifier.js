@@ -0,0 +1,145 @@
+/**
+ * Mismatch Classifier
+ * Labels each ML vs post-processing mismatch with its likely cause
+ */
+
+// Confidence cut-off assumed when no detection made it through post-processing
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+
+const MISMATCH_CAUSES = {
+    'post-error': {
+        label: 'Post-processing error',
+        severity: 'error',
+        description: 'Post-processing reported an error or produced no output for this frame.'
+    },
+    'mapping-failure': {
+        label: 'Class-to-game mapping failure',
+        severity: 'error',
+        description: 'Post-processing output game IDs that ML did not detect in this frame or anywhere in the sliding window before it.'
+    },
+    'warm-up': {
+        label: 'Window warm-up',
+        severity: 'info',
+        description: 'The sliding window was not full yet, so detections could not reach the threshold.'
+    },
+    'low-confidence': {
+        label: 'Below confidence threshold',
+        severity: 'info',
+        description: 'Every dropped detection is below the lowest confidence post-processing accepted in this session.'
+    },
+    'flicker': {
+        label: 'Single-frame flicker',
+        severity: 'info',
+        description: 'The dropped game was detected in this frame only, or ML missed a game for a frame while the sliding window held it.'
+    },
+    'unexplained': {
+        label: 'Unexplained miss',
+        severity: 'error',
+        description: 'The game was detected with normal confidence over several frames but post-processing dropped it.'
+    }
+};
+
+class MismatchClassifier {
+    constructor() {
+        this.causes = MISMATCH_CAUSES;
+    }
+
+    /**
+     * Classify every ML vs post-processing mismatch (results in timeline order)
+     * Sets result.mismatchCause to a cause id, or null for results without the mismatch.
+     */
+    classifyAll(results) {
+        const context = this.buildContext(results);
+
+        results.forEach((result, position) => {
+            // Frames the sliding window still remembers
+            const recent = results.slice(Math.max(0, position - context.fullWindow), position);
+            result.mismatchCause = result.discrepancyFlags.ml_vs_postprocessing
+                ? this.classify(result, results[position - 1], results[position + 1], context, recent)
+                : null;
+        });
+    }
+
+    /**
+     * Session-wide reference values: full window length and accepted confidence
+     */
+    buildContext(results) {
+        let fullWindow = 0;
+        let acceptedConfidence = Infinity;
+
+        results.forEach(result => {
+            const post = result.postProcessed;
+            if (!post) return;
+
+            fullWindow = Math.max(fullWindow, post.slidingWindowState.length);
+
+            const kept = new Set(post.games.map(game => game.gameId));
+            (result.mlInference?.games || []).forEach(game => {
+                if (kept.has(game.class)) {
+                    acceptedConfidence = Math.min(acceptedConfidence, game.confidence);
+                }
+            });
+        });
+
+        return {
+            fullWindow: fullWindow,
+            confidenceThreshold: isFinite(acceptedConfidence) ? acceptedConfidence : DEFAULT_CONFIDENCE_THRESHOLD
+        };
+    }
+
+    /**
+     * Likely cause of one result's mismatch
+     * recent are the frames before it within the sliding window length.
+     */
+    classify(result, previous, next, context, recent = []) {
+        const post = result.postProcessed;
+        if (!post || post.error) {
+            return 'post-error';
+        }
+
+        const mlGames = result.mlInference?.games || [];
+        const mlClasses = new Set(mlGames.map(game => game.class));
+        const postIds = new Set(post.games.map(game => game.gameId));
+
+        // The window holds a game through missed ML frames; only IDs that ML did not
+        // detect anywhere in the window point at the class-to-game mapping
+        const heldOver = [...postIds].filter(id => !mlClasses.has(id));
+        const detectedRecently = id => recent.some(frame =>
+            (frame.mlInference?.games || []).some(game => game.class === id));
+        if (!heldOver.every(detectedRecently)) {
+            return 'mapping-failure';
+        }
+
+        if (post.slidingWindowState.length < context.fullWindow) {
+            return 'warm-up';
+        }
+
+        const dropped = mlGames.filter(game => !postIds.has(game.class));
+        if (dropped.length === 0) {
+            // Only games held through a missed ML frame differ
+            return heldOver.length > 0 ? 'flicker' : 'unexplained';
+        }
+
+        if (dropped.every(game => game.confidence < context.confidenceThreshold)) {
+            return 'low-confidence';
+        }
+
+        const detectedIn = (neighbour, gameClass) =>
+            (neighbour?.mlInference?.games || []).some(game => game.class === gameClass);
+        if (dropped.every(game => !detectedIn(previous, game.class) && !detectedIn(next, game.class))) {
+            return 'flicker';
+        }
+
+        return 'unexplained';
+    }
+
+    /**
+     * Cause details for display
+     */
+    describe(causeId) {
+        return this.causes[causeId] || null;
+    }
+}
+
+// Global instance
+window.mismatchClassifier = new MismatchClassifier();
@@ -0,0 +1,526 @@
+/**
+ * Parser Worker
+ * Stream-parses complete_analysis.json (JSON or NDJSON, optionally gzipped)
+ * off the main thread and answers
+ * filter and statistics queries against the parsed results
+ */
+
+// The shared scripts register their global instances on window
+self.window = self;
+importScripts('schema-validator.js', 'flag-verifier.js', 'mismatch-classifier.js', 'rules-engine.js', 'json-parser.js');
+
+const RESULT_BATCH_SIZE = 250;
+const BATCH_INTERVAL_MS = 100;
+
+/**
+ * Incremental scanner for the top-level analysis object
+ * Emits each top-level field once its value is complete, and each element of
+ * the "results" array as soon as it closes, without holding the whole document.
+ */
+class StreamingJSONScanner {
+    constructor(onField, onResult) {
+        this.onField = onField;
+        this.onResult = onResult;
+        this.state = 'start';
+        this.depth = 0;
+        this.inString = false;
+        this.escape = false;
+        this.key = null;
+        this.buffer = '';
+        this.capturing = false;
+        this.offset = 0;
+        this.sawResults = false;
+    }
+
+    /**
+     * Feed the next chunk of decoded text
+     */
+    write(chunk) {
+        let captureStart = this.capturing ? 0 : -1;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+
+            if (this.inString) {
+                if (this.escape) {
+                    this.escape = false;
+                } else if (ch === '\\') {
+                    this.escape = true;
+                } else if (ch === '"') {
+                    this.inString = false;
+                    if (this.state === 'key') {
+                        this.key = JSON.parse(this.takeCapture(chunk, captureStart, i + 1));
+                        captureStart = -1;
+                        this.state = 'colon';
+                    }
+                }
+                continue;
+            }
+
+            if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t') {
+                continue;
+            }
+
+            switch (this.state) {
+                case 'start':
+                    if (ch !== '{') this.fail(ch, i);
+                    this.depth = 1;
+                    this.state = 'key-or-end';
+                    break;
+
+                case 'key-or-end':
+                    if (ch === '"') {
+                        this.inString = true;
+                        this.capturing = true;
+                        captureStart = i;
+                        this.state = 'key';
+                    } else if (ch === '}') {
+                        this.depth = 0;
+                        this.state = 'done';
+                    } else {
+                        this.fail(ch, i);
+                    }
+                    break;
+
+                case 'colon':
+                    if (ch !== ':') this.fail(ch, i);
+                    this.state = 'value-start';
+                    break;
+
+                case 'value-start':
+                    if (this.key === 'results' && ch === '[') {
+                        this.sawResults = true;
+                        this.depth = 2;
+                        this.state = 'results';
+                        break;
+                    }
+                    this.capturing = true;
+                    captureStart = i;
+                    this.state = 'value';
+                    // Re-read this character as the first one of the value
+                    i--;
+                    break;
+
+                case 'value':
+                    if (ch === '"') {
+                        this.inString = true;
+                    } else if (ch === '{' || ch === '[') {
+                        this.depth++;
+                    } else if ((ch === '}' || ch === ']') && this.depth > 1) {
+                        this.depth--;
+                    } else if (this.depth === 1 && (ch === ',' || ch === '}')) {
+                        this.onField(this.key, JSON.parse(this.takeCapture(chunk, captureStart, i)));
+                        captureStart = -1;
+                        if (ch === '}') {
+                            this.depth = 0;
+                            this.state = 'done';
+                        } else {
+                            this.state = 'key-or-end';
+                        }
+                    }
+                    break;
+
+                case 'results':
+                    if (ch === '"') {
+                        this.inString = true;
+                    } else if (ch === '{' || ch === '[') {
+                        if (this.depth === 2) {
+                            this.capturing = true;
+                            captureStart = i;
+                        }
+                        this.depth++;
+                    } else if (ch === '}' || ch === ']') {
+                        this.depth--;
+                        if (this.depth === 2) {
+                            this.onResult(JSON.parse(this.takeCapture(chunk, captureStart, i + 1)));
+                            captureStart = -1;
+                        } else if (this.depth === 1) {
+                            this.state = 'after-value';
+                        }
+                    }
+                    break;
+
+                case 'after-value':
+                    if (ch === ',') {
+                        this.state = 'key-or-end';
+                    } else if (ch === '}') {
+                        this.depth = 0;
+                        this.state = 'done';
+                    } else {
+                        this.fail(ch, i);
+                    }
+                    break;
+
+                default:
+                    this.fail(ch, i);
+            }
+        }
+
+        if (this.capturing && captureStart >= 0) {
+            this.buffer += chunk.slice(captureStart);
+        }
+        this.offset += chunk.length;
+    }
+
+    /**
+     * Signal end of input
+     */
+    finish() {
+        if (this.state !== 'done') {
+            throw new Error('Unexpected end of JSON input');
+        }
+    }
+
+    /**
+     * Return the captured text up to `end` and stop capturing
+     */
+    takeCapture(chunk, start, end) {
+        const text = this.buffer + chunk.slice(Math.max(start, 0), end);
+        this.buffer = '';
+        this.capturing = false;
+        return text;
+    }
+
+    /**
+     * Throw a positioned syntax error
+     */
+    fail(ch, i) {
+        throw new Error(`Unexpected character '${ch}' at position ${this.offset + i}`);
+    }
+}
+
+/**
+ * Incremental scanner for NDJSON / JSON Lines input
+ * The first line carries the session metadata, every following line one result.
+ */
+class NDJSONScanner {
+    constructor(onField, onResult) {
+        this.onField = onField;
+        this.onResult = onResult;
+        this.buffer = '';
+        this.line = 0;
+        this.sawHeader = false;
+        // Results are the lines themselves
+        this.sawResults = true;
+    }
+
+    /**
+     * Feed the next chunk of decoded text
+     */
+    write(chunk) {
+        const text = this.buffer + chunk;
+        let start = 0;
+        let newline;
+
+        while ((newline = text.indexOf('\n', start)) !== -1) {
+            this.handleLine(text.slice(start, newline));
+            start = newline + 1;
+        }
+
+        this.buffer = text.slice(start);
+    }
+
+    /**
+     * Signal end of input
+     */
+    finish() {
+        this.handleLine(this.buffer);
+        this.buffer = '';
+
+        if (!this.sawHeader) {
+            throw new Error('Empty NDJSON input');
+        }
+    }
+
+    /**
+     * Parse one line as header or result
+     */
+    handleLine(line) {
+        this.line++;
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        let value;
+        try {
+            value = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${this.line}: ${error.message}`);
+        }
+
+        if (this.sawHeader) {
+            this.onResult(value);
+            return;
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('NDJSON header line must be an object with the session metadata');
+        }
+
+        this.sawHeader = true;
+        Object.entries(value).forEach(([key, fieldValue]) => this.onField(key, fieldValue));
+    }
+}
+
+/**
+ * Buffers the start of the input until the format is known, then hands
+ * everything to the JSON or NDJSON scanner
+ */
+class FormatDetectingScanner {
+    constructor(fileName, onField, onResult) {
+        this.fileName = fileName;
+        this.onField = onField;
+        this.onResult = onResult;
+        this.pending = '';
+        this.scanner = null;
+        this.format = null;
+    }
+
+    get sawResults() {
+        return this.scanner ? this.scanner.sawResults : false;
+    }
+
+    /**
+     * Feed the next chunk of decoded text
+     */
+    write(chunk) {
+        if (this.scanner) {
+            this.scanner.write(chunk);
+            return;
+        }
+
+        this.pending += chunk;
+
+        // The first line decides, unless it runs past the sniff limit
+        if (this.pending.trimStart().indexOf('\n') === -1 && this.pending.length < FORMAT_SNIFF_LIMIT) {
+            return;
+        }
+
+        this.start();
+    }
+
+    /**
+     * Signal end of input
+     */
+    finish() {
+        if (!this.scanner) {
+            this.start();
+        }
+        this.scanner.finish();
+    }
+
+    /**
+     * Pick the scanner and replay the buffered text
+     */
+    start() {
+        this.format = self.jsonParser.detectTextFormat(this.pending, this.fileName);
+        this.scanner = this.format === 'ndjson'
+            ? new NDJSONScanner(this.onField, this.onResult)
+            : new StreamingJSONScanner(this.onField, this.onResult);
+
+        const pending = this.pending;
+        this.pending = '';
+        this.scanner.write(pending);
+    }
+}
+
+/**
+ * Worker-side request handler
+ */
+class ParserWorkerHost {
+    constructor(parser) {
+        this.parser = parser;
+        this.activeParseId = null;
+    }
+
+    /**
+     * Route a request from the main thread
+     */
+    async handleMessage(message) {
+        try {
+            switch (message.type) {
+                case 'parse':
+                    self.rulesEngine.setRules(message.rules);
+                    await this.parse(message.requestId, message.files, message.validationMode);
+                    break;
+                case 'rules':
+                    this.parser.applyRules(message.rules);
+                    self.postMessage({ type: 'rules-applied', requestId: message.requestId });
+                    break;
+                case 'session-checks':
+                    this.parser.applySessionChecks(message.flagged);
+                    self.postMessage({ type: 'session-checks-applied', requestId: message.requestId });
+                    break;
+                case 'filter':
+                    this.filter(message.requestId, message.criteria);
+                    break;
+                case 'stats':
+                    self.postMessage({
+                        type: 'stats',
+                        requestId: message.requestId,
+                        stats: this.parser.getDiscrepancyStats()
+                    });
+                    break;
+                default:
+                    throw new Error(`Unknown request type: ${message.type}`);
+            }
+        } catch (error) {
+            self.postMessage({
+                type: 'error',
+                requestId: message.requestId,
+                message: error.message,
+                validationReport: error.validationReport
+            });
+        }
+    }
+
+    /**
+     * Stream-parse one or more Files/Blobs, posting result batches and byte progress
+     * Several files are stitched into one result set once all are parsed.
+     */
+    async parse(requestId, files, validationMode) {
+        const parser = this.parser;
+        const progress = {
+            loaded: 0,
+            total: files.reduce((sum, entry) => sum + entry.file.size, 0)
+        };
+        const chunks = [];
+
+        // Only the most recent parse may touch the shared parser state
+        this.activeParseId = requestId;
+        parser.clear();
+
+        for (const [chunkIndex, entry] of files.entries()) {
+            const chunk = await this.parseChunk(requestId, entry, chunkIndex, validationMode, progress);
+            if (!chunk) return;
+
+            chunk.name = entry.name;
+            chunks.push(chunk);
+        }
+
+        parser.stitchChunks(chunks, validationMode);
+        parser.assertValid(parser.validationReport);
+
+        self.postMessage({
+            type: 'done',
+            requestId,
+            // Results already went out in batches; the main thread re-stitches its copy
+            chunks: chunks.map(chunk => ({
+                name: chunk.name,
+                format: chunk.format,
+                compression: chunk.compression,
+                header: chunk.header,
+                validationReport: chunk.validationReport
+            })),
+            stats: parser.getDiscrepancyStats(),
+            ruleErrors: self.rulesEngine.errors
+        });
+    }
+
+    /**
+     * Stream-parse a single file (JSON or NDJSON, optionally gzipped) into a chunk
+     * Returns null when a newer parse superseded this one.
+     */
+    async parseChunk(requestId, entry, chunkIndex, validationMode, progress) {
+        const parser = this.parser;
+        const validator = self.schemaValidator;
+        const report = validator.createReport(validationMode);
+        const header = {};
+        const results = [];
+        let batch = [];
+        let lastPost = Date.now();
+
+        const flush = () => {
+            if (batch.length === 0) return;
+            self.postMessage({
+                type: 'results',
+                requestId,
+                results: batch,
+                discrepancyCount: parser.discrepancyCount
+            });
+            batch = [];
+            lastPost = Date.now();
+        };
+
+        const scanner = new FormatDetectingScanner(
+            entry.name,
+            (key, value) => {
+                header[key] = value;
+            },
+            (rawResult) => {
+                // Header fields seen so far decide the schema version
+                if (!report.schemaVersion) {
+                    validator.resolveSchema(header, report);
+                }
+
+                const result = parser.parseValidatedResult(rawResult, results.length, report);
+                result.chunk = chunkIndex;
+                results.push(result);
+                parser.results.push(result);
+                if (result.hasDiscrepancy) {
+                    parser.discrepancyCount++;
+                }
+
+                batch.push(result);
+                if (batch.length >= RESULT_BATCH_SIZE || Date.now() - lastPost >= BATCH_INTERVAL_MS) {
+                    flush();
+                }
+            }
+        );
+
+        const { stream, compression } = await parser.openByteStream(entry.file, (bytes) => {
+            progress.loaded += bytes;
+        });
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (this.activeParseId !== requestId) {
+                reader.cancel();
+                return null;
+            }
+            if (done) break;
+
+            scanner.write(decoder.decode(value, { stream: true }));
+            self.postMessage({ type: 'progress', requestId, loaded: progress.loaded, total: progress.total });
+        }
+
+        scanner.write(decoder.decode());
+        scanner.finish();
+        flush();
+
+        parser.validateRequiredFields({
+            ...header,
+            results: scanner.sawResults ? results : header.results
+        });
+
+        if (!report.schemaVersion) {
+            validator.resolveSchema(header, report);
+        }
+        validator.validateRoot({ ...header, results: scanner.sawResults ? [] : header.results }, report);
+
+        return { header, results, validationReport: report, format: scanner.format, compression };
+    }
+
+    /**
+     * Filter results, answering with their positions in the results array
+     */
+    filter(requestId, criteria) {
+        const matched = new Set(this.parser.filterResults(criteria));
+        const positions = [];
+
+        this.parser.results.forEach((result, position) => {
+            if (matched.has(result)) {
+                positions.push(position);
+            }
+        });
+
+        self.postMessage({ type: 'filtered', requestId, positions });
+    }
+}
+
+const host = new ParserWorkerHost(self.jsonParser);
+
+self.onmessage = (e) => {
+    host.handleMessage(e.data);
+};
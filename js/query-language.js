@@ -0,0 +1,420 @@
+/**
+ * Query Language
+ * Parses filter expressions such as
+ *   game = hckgm_staem_b8f0 and confidence < 0.6
+ *   db sessions = 0 and post games > 0
+ *   time >= 2024-01-15T14:00:00Z and time < 2024-01-15T14:30:00Z
+ * into rules engine conditions, and suggests completions while typing
+ */
+
+const QUERY_PRESETS_STORAGE_KEY = 'query_presets';
+
+/**
+ * Query fields: path into the parsed result, or "scope" (an array of the
+ * result) plus a path inside its elements. Comparisons joined by "and" on
+ * fields of the same scope must hold for the same element, so
+ * "game = X and confidence < 0.6" means one detection of X below 0.6.
+ * "values: 'games'" fields autocomplete game IDs.
+ */
+const QUERY_FIELDS = {
+    index: { path: 'index', description: 'Screenshot index' },
+    time: { path: 'screenshot.timestamp', type: 'time', description: 'Screenshot timestamp' },
+    filename: { path: 'screenshot.filename', description: 'Screenshot file name' },
+    discrepancy: { path: 'hasDiscrepancy', description: 'Has any discrepancy (true / false)' },
+    cause: { path: 'mismatchCause', description: 'Likely cause of an ML vs post-processing mismatch' },
+    game: { scope: 'mlInference.games', path: 'class', values: 'games', description: 'Game ID of an ML detection' },
+    confidence: { scope: 'mlInference.games', path: 'confidence', description: 'Confidence of an ML detection' },
+    'ml.games': { path: 'mlInference.numberOfGames', description: 'Number of ML detections' },
+    'ml.latency': { path: 'mlInference.latencyMs', description: 'ML latency (ms)' },
+    'ml.uniform': { path: 'mlInference.isUniformFrame', description: 'ML saw a uniform frame (true / false)' },
+    'ml.error': { path: 'mlInference.error', description: 'ML error message' },
+    'post.games': { path: 'postProcessed.gameCount', description: 'Number of post-processed games' },
+    'post.game': { scope: 'postProcessed.games', path: 'gameId', values: 'games', description: 'Post-processed game ID' },
+    'post.session': { scope: 'postProcessed.games', path: 'gameSessionId', description: 'Session ID assigned by post-processing' },
+    'post.event': { path: 'postProcessed.eventType', description: 'Post-processing event type' },
+    'post.error': { path: 'postProcessed.error', description: 'Post-processing error message' },
+    'db.sessions': { path: 'dbSessions.length', description: 'Number of DB sessions' },
+    'db.game': { scope: 'dbSessions', path: 'gameIdentifier', values: 'games', description: 'Game identifier of a DB session' },
+    'db.name': { scope: 'dbSessions', path: 'gameName', description: 'Game name of a DB session' },
+    'db.session': { scope: 'dbSessions', path: 'gameSessionId', description: 'DB session ID' },
+    'db.airtime': { scope: 'dbSessions', path: 'trueAirtime', description: 'true_airtime of a DB session (s)' }
+};
+
+// Other spellings of field names
+const QUERY_FIELD_ALIASES = {
+    timestamp: 'time',
+    class: 'game',
+    latency: 'ml.latency',
+    latency_ms: 'ml.latency',
+    'ml.latency_ms': 'ml.latency',
+    'post.game_count': 'post.games',
+    'db.game_identifier': 'db.game',
+    'db.game_name': 'db.name'
+};
+
+const QUERY_OPERATORS = {
+    '=': '==',
+    '==': '==',
+    '!=': '!=',
+    '<': '<',
+    '<=': '<=',
+    '>': '>',
+    '>=': '>=',
+    '~': 'contains',
+    in: 'in'
+};
+
+const QUERY_KEYWORDS = ['and', 'or', 'not'];
+
+class QueryLanguage {
+    constructor() {
+        this.gameIds = [];
+        this.presets = {};
+    }
+
+    /**
+     * Use the game IDs of a newly loaded session for autocomplete
+     */
+    setGameIds(gameIds) {
+        this.gameIds = [...new Set(gameIds.map(String))].sort();
+    }
+
+    /**
+     * Split a query into tokens with their positions
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(<=|>=|!=|==|[=<>~()[\],])|([^\s"'<>=!~()[\],]+))/y;
+        let position = 0;
+
+        while (position < text.length) {
+            if (/^\s*$/.test(text.slice(position))) break;
+
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected '${text[position + text.slice(position).search(/\S/)]}' at position ${position + 1}`);
+            }
+
+            const start = match.index + match[0].search(/\S/);
+            if (match[1] !== undefined) {
+                tokens.push({ kind: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1'), start, end: pattern.lastIndex });
+            } else if (match[2] !== undefined) {
+                tokens.push({ kind: 'symbol', value: match[2], start, end: pattern.lastIndex });
+            } else {
+                tokens.push({ kind: 'word', value: match[3], start, end: pattern.lastIndex });
+            }
+            position = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Canonical field name, or null when unknown
+     */
+    resolveField(name) {
+        const lower = name.toLowerCase();
+        const canonical = QUERY_FIELD_ALIASES[lower] || lower;
+        return QUERY_FIELDS[canonical] ? canonical : null;
+    }
+
+    /**
+     * Whether a name starts a dotted field name ("db" of "db.sessions")
+     */
+    isFieldPrefix(name) {
+        const lower = name.toLowerCase();
+        return [...Object.keys(QUERY_FIELDS), ...Object.keys(QUERY_FIELD_ALIASES)]
+            .some(field => field.startsWith(`${lower}.`));
+    }
+
+    /**
+     * Parse a query into a rules engine condition
+     * An empty query returns null.
+     */
+    compile(text) {
+        const tokens = this.tokenize(text);
+        if (tokens.length === 0) return null;
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const describe = token => token ? `'${token.value}' at position ${token.start + 1}` : 'end of query';
+        const isWord = (token, word) => token && token.kind === 'word' && token.value.toLowerCase() === word;
+        const expect = (value) => {
+            const token = tokens[position];
+            if (!token || token.kind !== 'symbol' || token.value !== value) {
+                throw new Error(`Expected '${value}' but found ${describe(token)}`);
+            }
+            position++;
+        };
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (isWord(peek(), 'or')) {
+                position++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { any: children };
+        };
+
+        const parseAnd = () => {
+            const children = [parseUnary()];
+            while (isWord(peek(), 'and')) {
+                position++;
+                children.push(parseUnary());
+            }
+            return this.mergeScopes(children);
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+            if (isWord(token, 'not')) {
+                position++;
+                return this.finishScope(parseUnary(), true);
+            }
+            if (token && token.kind === 'symbol' && token.value === '(') {
+                position++;
+                const condition = parseOr();
+                expect(')');
+                return this.finishScope(condition);
+            }
+            return parseComparison();
+        };
+
+        const parseComparison = () => {
+            const token = peek();
+            if (!token || token.kind !== 'word' || QUERY_KEYWORDS.includes(token.value.toLowerCase())) {
+                throw new Error(`Expected a field name but found ${describe(token)}`);
+            }
+            position++;
+
+            // "db sessions" and "db.sessions" name the same field
+            let name = token.value;
+            while (!this.resolveField(name) && this.isFieldPrefix(name) && peek()?.kind === 'word') {
+                name = `${name}.${peek().value}`;
+                position++;
+            }
+
+            const fieldName = this.resolveField(name);
+            if (!fieldName) {
+                throw new Error(`Unknown field '${name}' at position ${token.start + 1}`);
+            }
+            const field = QUERY_FIELDS[fieldName];
+
+            const operatorToken = peek();
+            const operator = operatorToken && QUERY_OPERATORS[operatorToken.value.toLowerCase()];
+            if (!operator || (operatorToken.kind === 'word' && operatorToken.value.toLowerCase() !== 'in')) {
+                throw new Error(`Expected an operator (${Object.keys(QUERY_OPERATORS).join(' ')}) after '${name}' but found ${describe(operatorToken)}`);
+            }
+            position++;
+
+            const value = operator === 'in' ? parseList() : parseValue();
+            return this.createComparison(field, operator, value);
+        };
+
+        const parseList = () => {
+            expect('[');
+            const values = [parseValue()];
+            while (peek() && peek().value === ',') {
+                position++;
+                values.push(parseValue());
+            }
+            expect(']');
+            return values;
+        };
+
+        // Values keep their text so numeric-looking IDs also match as strings
+        const parseValue = () => {
+            const token = peek();
+            if (!token || token.kind === 'symbol') {
+                throw new Error(`Expected a value but found ${describe(token)}`);
+            }
+            position++;
+
+            if (token.kind === 'string') return { value: token.value, text: token.value };
+
+            const lower = token.value.toLowerCase();
+            let value = token.value;
+            if (lower === 'true' || lower === 'false') {
+                value = lower === 'true';
+            } else if (lower === 'null') {
+                value = null;
+            } else if (!isNaN(Number(token.value))) {
+                value = Number(token.value);
+            }
+            return { value, text: token.value };
+        };
+
+        const condition = this.finishScope(parseOr());
+        if (position < tokens.length) {
+            throw new Error(`Unexpected ${describe(tokens[position])}`);
+        }
+        return condition;
+    }
+
+    /**
+     * Condition for one comparison
+     * Scoped comparisons stay marked with their scope until mergeScopes or
+     * finishScope wraps them in a "some".
+     */
+    createComparison(field, operator, parsed) {
+        // Numbers also match their text: game IDs can look like numbers
+        const candidates = entry => typeof entry.value === 'number' ? [entry.value, entry.text] : [entry.value];
+        let condition;
+
+        if (field.type === 'time') {
+            const value = parsed.text;
+            if (operator === 'in' || isNaN(Date.parse(value))) {
+                throw new Error(`'${value}' is not a timestamp (use e.g. 2024-01-15T14:00:00Z)`);
+            }
+            condition = this.createTimeComparison(field.path, operator, value);
+        } else if (operator === 'in') {
+            condition = { field: field.path, op: 'in', value: parsed.flatMap(candidates) };
+        } else if ((operator === '==' || operator === '!=') && typeof parsed.value === 'number') {
+            condition = { field: field.path, op: operator === '==' ? 'in' : 'notIn', value: candidates(parsed) };
+        } else {
+            condition = { field: field.path, op: operator, value: operator === 'contains' ? parsed.text : parsed.value };
+        }
+
+        return field.scope ? { scope: field.scope, where: condition } : condition;
+    }
+
+    /**
+     * Timestamps are compared as points in time, not as strings
+     */
+    createTimeComparison(path, operator, value) {
+        switch (operator) {
+            case '<': return { field: path, op: 'before', value };
+            case '>': return { field: path, op: 'after', value };
+            case '<=': return { field: path, op: 'atOrBefore', value };
+            case '>=': return { field: path, op: 'atOrAfter', value };
+            case '==': return { all: [{ field: path, op: 'atOrBefore', value }, { field: path, op: 'atOrAfter', value }] };
+            case '!=': return { any: [{ field: path, op: 'before', value }, { field: path, op: 'after', value }] };
+            default: throw new Error(`Operator '${operator}' does not apply to time`);
+        }
+    }
+
+    /**
+     * Join the children of an "and", combining comparisons on the same scope
+     */
+    mergeScopes(children) {
+        const merged = [];
+        const scopes = new Map();
+
+        children.forEach(child => {
+            if (!child.scope) {
+                merged.push(child);
+                return;
+            }
+            if (!scopes.has(child.scope)) {
+                const group = { scope: child.scope, where: [] };
+                scopes.set(child.scope, group);
+                merged.push(group);
+            }
+            scopes.get(child.scope).where.push(child.where);
+        });
+
+        const conditions = merged.map(child => child.scope
+            ? this.finishScope({ scope: child.scope, where: child.where.length === 1 ? child.where[0] : { all: child.where } })
+            : child);
+        return conditions.length === 1 ? conditions[0] : { all: conditions };
+    }
+
+    /**
+     * Turn a pending scoped comparison into a "some" condition (optionally negated)
+     */
+    finishScope(condition, negate = false) {
+        const finished = condition.scope ? { some: condition.scope, where: condition.where } : condition;
+        return negate ? { not: finished } : finished;
+    }
+
+    /**
+     * Completions for the word being typed at the cursor
+     * Returns { from, to, items: [{ value, description }] } where from / to is
+     * the range of the query the chosen value replaces.
+     */
+    suggest(text, cursor) {
+        const before = text.slice(0, cursor);
+        const partial = before.match(/[^\s"'<>=!~()[\],]*$/)[0];
+        const from = cursor - partial.length;
+
+        let tokens;
+        try {
+            tokens = this.tokenize(before.slice(0, from));
+        } catch (error) {
+            return { from, to: cursor, items: [] };
+        }
+
+        const last = tokens[tokens.length - 1];
+        const previous = tokens[tokens.length - 2];
+        const lower = partial.toLowerCase();
+        const match = value => value.toLowerCase().startsWith(lower) && value.toLowerCase() !== lower;
+        let items;
+
+        if (last && (QUERY_OPERATORS[last.value.toLowerCase()] || last.value === ',' || last.value === '[')) {
+            // A value: game IDs after an operator on a game field
+            const fieldToken = [...tokens].reverse().find(token => token.kind === 'word' && this.resolveField(token.value));
+            const field = fieldToken && QUERY_FIELDS[this.resolveField(fieldToken.value)];
+            items = field?.values === 'games'
+                ? this.gameIds.filter(match).map(value => ({ value, description: 'Game ID' }))
+                : [];
+        } else if (last && (last.kind === 'string' || last.value === ')' || last.value === ']' ||
+            (last.kind === 'word' && previous && QUERY_OPERATORS[previous.value.toLowerCase()]))) {
+            // After a complete comparison
+            items = ['and', 'or'].filter(match).map(value => ({ value, description: 'Keyword' }));
+        } else {
+            items = [
+                ...Object.entries(QUERY_FIELDS).map(([value, field]) => ({ value, description: field.description })),
+                { value: 'not', description: 'Keyword' }
+            ].filter(item => match(item.value));
+        }
+
+        return { from, to: cursor, items: items.slice(0, 10) };
+    }
+
+    /**
+     * Save a query under a name
+     */
+    savePreset(name, query) {
+        if (!name || !name.trim()) {
+            throw new Error('Preset needs a name');
+        }
+        this.compile(query);
+        this.presets[name.trim()] = query;
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Remove a saved query
+     */
+    deletePreset(name) {
+        delete this.presets[name];
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Save presets to localStorage
+     */
+    saveToLocalStorage() {
+        localStorage.setItem(QUERY_PRESETS_STORAGE_KEY, JSON.stringify(this.presets));
+    }
+
+    /**
+     * Load presets from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            const saved = localStorage.getItem(QUERY_PRESETS_STORAGE_KEY);
+            if (saved) {
+                this.presets = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading query presets from localStorage:', error);
+        }
+
+        return this.presets;
+    }
+}
+
+// Global instance
+window.queryLanguage = new QueryLanguage();
@@ -0,0 +1,299 @@
+/**
+ * Review Store
+ * Triage status and notes per screenshot and per discrepancy, kept in
+ * IndexedDB under the analysis session_id and screenshot index
+ */
+
+const REVIEW_DB_NAME = 'screenshot_debugger';
+const REVIEW_DB_VERSION = 1;
+const REVIEW_STORE_NAME = 'reviews';
+const REVIEW_FILE_VERSION = 1;
+
+const REVIEW_STATUSES = {
+    new: 'New',
+    expected: 'Expected',
+    bug: 'Bug',
+    fixed: 'Fixed'
+};
+
+class ReviewStore {
+    constructor() {
+        this.db = null;
+        // "sessionId:index" -> review record of the loaded sessions
+        this.reviews = new Map();
+        this.sessionIds = [];
+        this.onChange = null;
+    }
+
+    /**
+     * Set the callback run with the result after a review was saved from the panel
+     */
+    attach(onChange) {
+        this.onChange = onChange;
+    }
+
+    /**
+     * Open the IndexedDB database (once)
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(REVIEW_DB_NAME, REVIEW_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(REVIEW_STORE_NAME, { keyPath: ['sessionId', 'index'] });
+                store.createIndex('sessionId', 'sessionId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Cannot open review database: ${request.error?.message}`));
+        });
+        return this.db;
+    }
+
+    /**
+     * Run a request against the review store and resolve with its result
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(REVIEW_STORE_NAME, mode).objectStore(REVIEW_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Review database error: ${request.error?.message}`));
+        });
+    }
+
+    /**
+     * Load the reviews of the analysis sessions being viewed
+     * Stitched files contain several sessions.
+     */
+    async loadSessions(sessionIds) {
+        this.sessionIds = [...new Set(sessionIds.filter(Boolean))];
+        this.reviews = new Map();
+
+        for (const sessionId of this.sessionIds) {
+            const records = await this.request('readonly', store => store.index('sessionId').getAll(sessionId));
+            records.forEach(record => this.reviews.set(this.toKey(record.sessionId, record.index), record));
+        }
+        return this.reviews.size;
+    }
+
+    /**
+     * Session ID and index a result's review is stored under
+     * Stitched results keep the session and index of the file they came from.
+     */
+    getKeyParts(result) {
+        const chunk = window.jsonParser.stitchReport?.chunks[result.chunk];
+        return {
+            sessionId: chunk?.sessionId || window.jsonParser.getMetadata()?.sessionId || null,
+            index: result.originalIndex ?? result.index
+        };
+    }
+
+    /**
+     * Map key of a session ID and index
+     */
+    toKey(sessionId, index) {
+        return `${sessionId}:${index}`;
+    }
+
+    /**
+     * Review record of a result, or null when it has not been reviewed
+     */
+    getReview(result) {
+        const { sessionId, index } = this.getKeyParts(result);
+        return this.reviews.get(this.toKey(sessionId, index)) || null;
+    }
+
+    /**
+     * Triage status of a result ('new' until set)
+     */
+    getStatus(result) {
+        return this.getReview(result)?.status || 'new';
+    }
+
+    /**
+     * Review of one discrepancy (by type) of a result
+     */
+    getDiscrepancyReview(result, type) {
+        return this.getReview(result)?.discrepancies[type] || { status: 'new', notes: '' };
+    }
+
+    /**
+     * Whether a result or one of its discrepancies has the status
+     * Discrepancies only count when their status was set explicitly.
+     */
+    matchesStatus(result, status) {
+        const review = this.getReview(result);
+        if (status === 'notes') {
+            return Boolean(review && (review.notes || Object.values(review.discrepancies).some(entry => entry.notes)));
+        }
+        return this.getStatus(result) === status ||
+            Boolean(review && Object.values(review.discrepancies).some(entry => entry.status === status));
+    }
+
+    /**
+     * Update the status and/or notes of a result, or of one of its discrepancies when type is given
+     */
+    async update(result, changes, type = null) {
+        const { sessionId, index } = this.getKeyParts(result);
+        if (!sessionId) {
+            throw new Error('The analysis has no session_id to store reviews under');
+        }
+        if (changes.status && !REVIEW_STATUSES[changes.status]) {
+            throw new Error(`Unknown review status: ${changes.status}`);
+        }
+
+        const key = this.toKey(sessionId, index);
+        const previous = this.reviews.get(key);
+        const record = {
+            sessionId,
+            index,
+            status: previous?.status || 'new',
+            notes: previous?.notes || '',
+            discrepancies: { ...previous?.discrepancies },
+            updatedAt: new Date().toISOString()
+        };
+
+        if (type) {
+            record.discrepancies[type] = { ...this.getDiscrepancyReview(result, type), ...changes };
+        } else {
+            Object.assign(record, changes);
+        }
+
+        await this.request('readwrite', store => store.put(record));
+        this.reviews.set(key, record);
+        return record;
+    }
+
+    /**
+     * Serialize the reviews of the loaded sessions for download
+     */
+    exportReviews() {
+        return JSON.stringify({
+            version: REVIEW_FILE_VERSION,
+            sessionIds: this.sessionIds,
+            reviews: [...this.reviews.values()]
+        }, null, 2);
+    }
+
+    /**
+     * Check a review from a review file and bring it into the stored shape
+     * Throws on anything the status filter or the review panel could not read.
+     */
+    normalizeImportedReview(record) {
+        if (!record?.sessionId || record.index === undefined || !REVIEW_STATUSES[record.status]) {
+            throw new Error('Each review needs a sessionId, an index and a valid status');
+        }
+
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const discrepancies = record.discrepancies ?? {};
+        if (!isObject(discrepancies) || !Object.values(discrepancies).every(entry =>
+            isObject(entry) && REVIEW_STATUSES[entry.status] && typeof (entry.notes ?? '') === 'string')) {
+            throw new Error(`Review of index ${record.index}: discrepancies must map types to a valid status and notes`);
+        }
+
+        // Reviews are compared by updatedAt, so it has to be a real time
+        const updatedAt = typeof record.updatedAt === 'string' ? Date.parse(record.updatedAt) : NaN;
+        if (isNaN(updatedAt)) {
+            throw new Error(`Review of index ${record.index}: updatedAt must be an ISO timestamp`);
+        }
+
+        return {
+            ...record,
+            notes: typeof record.notes === 'string' ? record.notes : '',
+            discrepancies: Object.fromEntries(Object.entries(discrepancies).map(([type, entry]) =>
+                [type, { status: entry.status, notes: entry.notes ?? '' }])),
+            updatedAt: new Date(updatedAt).toISOString()
+        };
+    }
+
+    /**
+     * Store the reviews of a review file; the newer of two reviews of the same result wins
+     * Returns the number of reviews taken over.
+     */
+    async importReviews(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid review file: ${error.message}`);
+        }
+
+        if (!Array.isArray(data?.reviews)) {
+            throw new Error('Review file must contain a "reviews" list');
+        }
+        const entries = data.reviews.map(record => this.normalizeImportedReview(record));
+
+        let imported = 0;
+        for (const entry of entries) {
+            const existing = await this.request('readonly', store => store.get([entry.sessionId, entry.index]));
+            if (existing && existing.updatedAt >= entry.updatedAt) continue;
+
+            await this.request('readwrite', store => store.put(entry));
+            if (this.sessionIds.includes(entry.sessionId)) {
+                this.reviews.set(this.toKey(entry.sessionId, entry.index), entry);
+            }
+            imported++;
+        }
+        return imported;
+    }
+
+    /**
+     * Show the review controls for a result and its discrepancies
+     */
+    renderReview(result, discrepancies) {
+        const panel = document.getElementById('reviewPanel');
+        if (!result) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const review = this.getReview(result);
+        const options = selected => Object.entries(REVIEW_STATUSES)
+            .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const escape = text => window.analysisUtils.escapeHtml(text);
+
+        panel.innerHTML = `
+            <div class="review-row">
+                <strong>Screenshot</strong>
+                <select class="review-status" data-type="">${options(this.getStatus(result))}</select>
+                <input type="text" class="review-notes" data-type="" placeholder="Notes" value="${escape(review?.notes || '')}">
+            </div>
+            ${discrepancies.map(disc => {
+                const entry = this.getDiscrepancyReview(result, disc.type);
+                return `
+                    <div class="review-row">
+                        <span class="discrepancy-type ${disc.type}">${disc.title}</span>
+                        <select class="review-status" data-type="${disc.type}">${options(entry.status)}</select>
+                        <input type="text" class="review-notes" data-type="${disc.type}" placeholder="Notes" value="${escape(entry.notes)}">
+                    </div>
+                `;
+            }).join('')}
+            <div class="review-updated text-muted">${review ? `Last updated ${window.discrepancyManager.formatTimestamp(review.updatedAt)}` : 'Not reviewed yet'}</div>
+        `;
+
+        const save = async (element, changes) => {
+            try {
+                await this.update(result, changes, element.dataset.type || null);
+            } catch (error) {
+                alert('Error saving review: ' + error.message);
+                return;
+            }
+            this.renderReview(result, discrepancies);
+            if (this.onChange) this.onChange(result);
+        };
+
+        panel.querySelectorAll('.review-status').forEach(select => {
+            select.addEventListener('change', () => save(select, { status: select.value }));
+        });
+        panel.querySelectorAll('.review-notes').forEach(input => {
+            input.addEventListener('change', () => save(input, { notes: input.value }));
+        });
+
+        panel.style.display = 'block';
+    }
+}
+
+// Global instance
+window.reviewStore = new ReviewStore();
@@ -0,0 +1,276 @@
+/**
+ * Rules Engine
+ * User-defined discrepancy checks written as declarative conditions over
+ * the parsed result fields
+ */
+
+const RULES_STORAGE_KEY = 'discrepancy_rules';
+const RULES_FILE_VERSION = 1;
+
+const RULE_SEVERITIES = ['info', 'warning', 'error'];
+
+const RULE_OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, b) => Array.isArray(b) && b.includes(a),
+    'notIn': (a, b) => Array.isArray(b) && !b.includes(a),
+    'contains': (a, b) => typeof a === 'string' && typeof b === 'string' && a.includes(b),
+    'exists': (a) => a !== undefined && a !== null,
+    // Timestamps compared as points in time
+    'before': (a, b) => Date.parse(a) < Date.parse(b),
+    'after': (a, b) => Date.parse(a) > Date.parse(b),
+    'atOrBefore': (a, b) => Date.parse(a) <= Date.parse(b),
+    'atOrAfter': (a, b) => Date.parse(a) >= Date.parse(b)
+};
+
+/**
+ * Condition syntax:
+ *   { "field": "mlInference.latencyMs", "op": ">", "value": 2000 }
+ *   { "field": "class", "op": "in", "valueFrom": "$.dbSessions[].gameIdentifier" }
+ *   { "all": [conditions] }, { "any": [conditions] }, { "not": condition }
+ *   { "some": "mlInference.games", "where": condition }
+ *
+ * Paths are dot-separated; "name[]" steps into every element of an array.
+ * Inside "where", paths are relative to the array element and "$." refers to
+ * the whole result. A comparison holds when any of the path's values matches.
+ */
+class RulesEngine {
+    constructor() {
+        this.rules = [];
+        // Rule name -> { count, index, message }: evaluation failures, reported once per rule
+        this.errors = {};
+    }
+
+    /**
+     * Replace the active rules (validated first)
+     */
+    setRules(rules) {
+        const list = rules || [];
+        const names = new Set();
+
+        list.forEach((rule, i) => {
+            this.validateRule(rule, `Rule ${i + 1}`);
+            if (names.has(rule.name)) {
+                throw new Error(`Duplicate rule name '${rule.name}'`);
+            }
+            names.add(rule.name);
+        });
+
+        this.rules = list.map(rule => ({
+            name: rule.name,
+            severity: rule.severity,
+            description: rule.description || '',
+            condition: rule.condition
+        }));
+        this.errors = {};
+        return this.rules;
+    }
+
+    /**
+     * Forget the evaluation failures (before re-evaluating a session)
+     */
+    resetErrors() {
+        this.errors = {};
+    }
+
+    /**
+     * Check a rule's shape, throwing a descriptive error
+     */
+    validateRule(rule, label) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            throw new Error(`${label} needs a name`);
+        }
+        if (!RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Rule '${rule.name}': severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+        }
+        this.validateCondition(rule.condition, `Rule '${rule.name}'`);
+    }
+
+    /**
+     * Check a condition tree
+     */
+    validateCondition(condition, label) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            throw new Error(`${label}: condition must be an object`);
+        }
+
+        if (condition.all || condition.any) {
+            const list = condition.all || condition.any;
+            if (!Array.isArray(list) || list.length === 0) {
+                throw new Error(`${label}: "all" / "any" need a non-empty list of conditions`);
+            }
+            list.forEach(child => this.validateCondition(child, label));
+        } else if (condition.not) {
+            this.validateCondition(condition.not, label);
+        } else if (condition.some) {
+            if (typeof condition.some !== 'string') {
+                throw new Error(`${label}: "some" must be a field path`);
+            }
+            this.validateCondition(condition.where, label);
+        } else if (condition.field) {
+            if (!RULE_OPERATORS[condition.op]) {
+                throw new Error(`${label}: unknown operator '${condition.op}' (use ${Object.keys(RULE_OPERATORS).join(' ')})`);
+            }
+            if (condition.op !== 'exists' && !('value' in condition) && !condition.valueFrom) {
+                throw new Error(`${label}: comparison on '${condition.field}' needs "value" or "valueFrom"`);
+            }
+        } else {
+            throw new Error(`${label}: condition needs one of field, all, any, not, some`);
+        }
+    }
+
+    /**
+     * Active rule by name
+     */
+    getRule(name) {
+        return this.rules.find(rule => rule.name === name) || null;
+    }
+
+    /**
+     * Remove a rule by name, returning the remaining rules
+     */
+    withoutRule(name) {
+        return this.rules.filter(rule => rule.name !== name);
+    }
+
+    /**
+     * Rules a result matches, as { name, severity }
+     */
+    evaluate(result) {
+        const matches = [];
+
+        this.rules.forEach(rule => {
+            try {
+                if (this.test(rule.condition, result, result)) {
+                    matches.push({ name: rule.name, severity: rule.severity });
+                }
+            } catch (error) {
+                // Counted rather than logged: a broken rule fails on every result
+                if (Object.hasOwn(this.errors, rule.name)) {
+                    this.errors[rule.name].count++;
+                } else {
+                    this.errors[rule.name] = { count: 1, index: result.index, message: error.message };
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Evaluate a condition against a scope (result or array element)
+     */
+    test(condition, scope, root) {
+        if (condition.all) {
+            return condition.all.every(child => this.test(child, scope, root));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.test(child, scope, root));
+        }
+        if (condition.not) {
+            return !this.test(condition.not, scope, root);
+        }
+        if (condition.some) {
+            return this.resolve(condition.some, scope, root)
+                .flatMap(value => Array.isArray(value) ? value : [])
+                .some(item => this.test(condition.where, item, root));
+        }
+
+        const compare = RULE_OPERATORS[condition.op];
+        const values = this.resolve(condition.field, scope, root);
+        const expected = condition.valueFrom
+            ? this.resolve(condition.valueFrom, scope, root)
+            : condition.value;
+
+        if (condition.op === 'exists') {
+            return values.some(value => compare(value));
+        }
+        return values.some(value => compare(value, expected));
+    }
+
+    /**
+     * Resolve a path to the list of values it reaches
+     */
+    resolve(path, scope, root) {
+        let current = [scope];
+        let steps = path.split('.');
+
+        if (steps[0] === '$') {
+            current = [root];
+            steps = steps.slice(1);
+        }
+
+        steps.forEach(step => {
+            const spread = step.endsWith('[]');
+            const key = spread ? step.slice(0, -2) : step;
+
+            current = current.flatMap(value => {
+                const next = value === null || value === undefined ? undefined : value[key];
+                if (spread) {
+                    return Array.isArray(next) ? next : [];
+                }
+                return [next];
+            });
+        });
+
+        return current;
+    }
+
+    /**
+     * Parse a rules file (an array of rules or { rules: [...] })
+     */
+    parseRulesFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid rules file: ${error.message}`);
+        }
+
+        const rules = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('Rules file must contain a list of rules');
+        }
+        return rules;
+    }
+
+    /**
+     * Serialize the active rules for download
+     */
+    exportRules() {
+        return JSON.stringify({ version: RULES_FILE_VERSION, rules: this.rules }, null, 2);
+    }
+
+    /**
+     * Save rules to localStorage
+     */
+    saveToLocalStorage() {
+        localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(this.rules));
+    }
+
+    /**
+     * Load rules from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            const saved = localStorage.getItem(RULES_STORAGE_KEY);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading rules from localStorage:', error);
+        }
+
+        return [];
+    }
+}
+
+// Global instance
+window.rulesEngine = new RulesEngine();
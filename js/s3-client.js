@@ -1,12 +1,30 @@
 /**
  * S3 Client
- * Handles S3 operations for fetching screenshots
+ * Handles S3 operations for fetching screenshots and browsing analysis sessions
  */
 
+const ANALYSIS_FILE_PATTERN = /complete_analysis\.(json|ndjson|jsonl)(\.gz)?$/;
+
+// Image downloads running at once; the current frame always starts immediately
+const FETCH_CONCURRENCY = 4;
+
+// Image download priorities, most urgent first
+const FETCH_PRIORITIES = {
+    current: 0,
+    playback: 1,
+    neighbour: 2
+};
+
 class S3Client {
     constructor() {
         this.s3 = null;
-        this.imageCache = new Map();
+        this.imageCache = new ImageCache();
+        // s3Key -> queued or running download { s3Key, wanted, order, controller, promise }
+        this.pendingFetches = new Map();
+        this.fetchQueue = [];
+        this.activeFetches = 0;
+        this.fetchOrder = 0;
+        this.fetchScheduled = false;
     }
 
     /**
@@ -46,77 +64,232 @@ class S3Client {
 
     /**
      * Fetch image and return as blob URL
+     * Only one frame is current: fetching a new current frame cancels the
+     * download of the previous one unless it is still wanted at another priority.
      */
-    async fetchImage(s3Key) {
+    async fetchImage(s3Key, priority = FETCH_PRIORITIES.current) {
         // Check cache first
-        if (this.imageCache.has(s3Key)) {
-            return this.imageCache.get(s3Key);
+        const cachedUrl = this.imageCache.get(s3Key);
+        if (cachedUrl) {
+            return cachedUrl;
+        }
+
+        if (priority === FETCH_PRIORITIES.current) {
+            this.cancelFetches(priority, [s3Key]);
+        }
+        return this.requestFetch(s3Key, priority).promise;
+    }
+
+    /**
+     * Preload images in the background at a priority, in the order given (nearest first)
+     * Replaces the previous preload at that priority: images no longer listed are cancelled.
+     */
+    preloadImages(s3Keys, priority = FETCH_PRIORITIES.neighbour) {
+        this.cancelFetches(priority, s3Keys);
+
+        s3Keys.forEach(s3Key => {
+            if (this.imageCache.get(s3Key)) return;
+
+            this.requestFetch(s3Key, priority).promise.catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.warn(`Failed to preload ${s3Key}:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Queue a download, or share the one already queued or running for the key
+     */
+    requestFetch(s3Key, priority) {
+        let job = this.pendingFetches.get(s3Key);
+
+        if (!job) {
+            job = { s3Key, wanted: new Set(), order: 0, controller: null };
+            job.promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+            this.pendingFetches.set(s3Key, job);
+            this.fetchQueue.push(job);
+        }
+
+        job.wanted.add(priority);
+        job.order = ++this.fetchOrder;
+        this.scheduleFetches();
+        return job;
+    }
+
+    /**
+     * Withdraw a priority from every download except the kept keys
+     * Downloads nobody wants any more are cancelled on the next scheduling pass.
+     */
+    cancelFetches(priority, keepKeys = []) {
+        const keep = new Set(keepKeys);
+
+        for (const job of this.pendingFetches.values()) {
+            if (!keep.has(job.s3Key)) {
+                job.wanted.delete(priority);
+            }
+        }
+        this.scheduleFetches();
+    }
+
+    /**
+     * Run a scheduling pass once the current task has queued all its requests
+     * A download withdrawn and requested again in the same task keeps running.
+     */
+    scheduleFetches() {
+        if (this.fetchScheduled) return;
+
+        this.fetchScheduled = true;
+        queueMicrotask(() => {
+            this.fetchScheduled = false;
+            this.runFetches();
+        });
+    }
+
+    /**
+     * Cancel unwanted downloads and start queued ones by priority, up to the concurrency limit
+     */
+    runFetches() {
+        for (const job of [...this.pendingFetches.values()]) {
+            if (job.wanted.size > 0) continue;
+
+            this.pendingFetches.delete(job.s3Key);
+            if (job.controller) {
+                job.controller.abort();
+            } else {
+                this.fetchQueue.splice(this.fetchQueue.indexOf(job), 1);
+                job.reject(new DOMException(`Fetch of ${job.s3Key} cancelled`, 'AbortError'));
+            }
         }
 
+        const priority = job => Math.min(...job.wanted);
+        this.fetchQueue.sort((a, b) => priority(a) - priority(b) || a.order - b.order);
+
+        while (this.fetchQueue.length > 0) {
+            const job = this.fetchQueue[0];
+            if (this.activeFetches >= FETCH_CONCURRENCY && priority(job) !== FETCH_PRIORITIES.current) break;
+
+            this.fetchQueue.shift();
+            this.startFetch(job);
+        }
+    }
+
+    /**
+     * Start a queued download
+     */
+    startFetch(job) {
+        this.activeFetches++;
+        job.controller = new AbortController();
+
+        this.downloadImage(job.s3Key, job.controller.signal)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this.activeFetches--;
+                if (this.pendingFetches.get(job.s3Key) === job) {
+                    this.pendingFetches.delete(job.s3Key);
+                }
+                this.scheduleFetches();
+            });
+    }
+
+    /**
+     * Download an image into the cache
+     * With the persistent tier on, a stored copy with the object's current ETag is used instead.
+     */
+    async downloadImage(s3Key, signal = null) {
         try {
+            const stored = this.imageCache.settings.persistent ? await this.loadStoredImage(s3Key, signal) : null;
+            signal?.throwIfAborted();
+            if (stored?.blob) {
+                return this.imageCache.set(s3Key, stored.blob);
+            }
+
             const signedUrl = this.getSignedUrl(s3Key);
             
             // Fetch the image
-            const response = await fetch(signedUrl);
+            const response = await fetch(signedUrl, { signal });
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
             
             const blob = await response.blob();
-            const blobUrl = URL.createObjectURL(blob);
-            
+
+            // The GET reports the ETag too, so storing a new image costs no HEAD request
+            const etag = response.headers.get('ETag') || stored?.etag;
+            if (stored && etag) {
+                this.imageCache.store(stored.bucket, s3Key, etag, blob).catch(error => {
+                    console.warn(`Failed to store ${s3Key} in the image cache:`, error);
+                });
+            }
+
             // Cache the blob URL
-            this.imageCache.set(s3Key, blobUrl);
-            
-            return blobUrl;
+            return this.imageCache.set(s3Key, blob);
         } catch (error) {
-            console.error('Error fetching image from S3:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error fetching image from S3:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Load image and return as Image object
+     * Look up an image in the persistent tier by bucket, key and current ETag
+     * Returns { bucket, etag, blob } (etag and blob null on a miss), or null when the lookup failed.
      */
-    async loadImage(s3Key) {
-        const blobUrl = await this.fetchImage(s3Key);
-        
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            img.onload = () => resolve(img);
-            img.onerror = () => reject(new Error('Failed to load image'));
-            
-            img.src = blobUrl;
-        });
+    async loadStoredImage(s3Key, signal = null) {
+        try {
+            const bucket = window.awsConfigManager.getConfig().bucketName;
+
+            // Only a stored copy is worth a HEAD request to check that it is still current
+            if (!await this.imageCache.hasStored(bucket, s3Key)) {
+                return { bucket, etag: null, blob: null };
+            }
+
+            const { etag } = await this.getObjectMetadata(s3Key, signal);
+            if (!etag) return null;
+
+            return { bucket, etag, blob: await this.imageCache.loadStored(bucket, s3Key, etag) };
+        } catch (error) {
+            if (!signal?.aborted) {
+                console.warn(`Image cache lookup failed for ${s3Key}:`, error);
+            }
+            return null;
+        }
     }
 
     /**
-     * Preload multiple images
+     * Load image and return as Image object
+     * The blob URL is pinned until the image has decoded, so eviction cannot revoke it mid-load.
      */
-    async preloadImages(s3Keys) {
-        const promises = s3Keys.map(key => 
-            this.fetchImage(key).catch(err => {
-                console.warn(`Failed to preload ${key}:`, err);
-                return null;
-            })
-        );
-        
-        return Promise.all(promises);
+    async loadImage(s3Key) {
+        this.imageCache.pin(s3Key);
+
+        try {
+            const blobUrl = await this.fetchImage(s3Key);
+
+            return await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Failed to load image'));
+
+                img.src = blobUrl;
+            });
+        } finally {
+            this.imageCache.unpin(s3Key);
+        }
     }
 
     /**
-     * Clear image cache
+     * Clear image cache (memory and the persistent tier)
      */
-    clearCache() {
-        // Revoke all blob URLs to free memory
-        for (const blobUrl of this.imageCache.values()) {
-            URL.revokeObjectURL(blobUrl);
-        }
-        
-        this.imageCache.clear();
+    async clearCache() {
+        await this.imageCache.clear();
     }
 
     /**
@@ -145,20 +318,125 @@ class S3Client {
     }
 
     /**
-     * Get object metadata
+     * List the immediate child prefixes ("folders") under a prefix
      */
-    async getObjectMetadata(s3Key) {
+    async listChildPrefixes(prefix) {
         if (!this.s3) {
             throw new Error('S3 client not initialized');
         }
 
         const config = window.awsConfigManager.getConfig();
-        
+        const children = [];
+        let continuationToken;
+
+        try {
+            do {
+                const data = await this.s3.listObjectsV2({
+                    Bucket: config.bucketName,
+                    Prefix: prefix,
+                    Delimiter: '/',
+                    ContinuationToken: continuationToken
+                }).promise();
+
+                (data.CommonPrefixes || []).forEach(common => {
+                    const name = common.Prefix.slice(prefix.length).replace(/\/$/, '');
+                    if (name) {
+                        children.push(name);
+                    }
+                });
+
+                continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+            } while (continuationToken);
+        } catch (error) {
+            console.error('Error listing S3 prefixes:', error);
+            throw error;
+        }
+
+        return children.sort();
+    }
+
+    /**
+     * Find complete_analysis files (.json, .ndjson, .jsonl, optionally .gz) anywhere below a prefix
+     */
+    async findAnalysisFiles(prefix) {
+        if (!this.s3) {
+            throw new Error('S3 client not initialized');
+        }
+
+        const config = window.awsConfigManager.getConfig();
+        const files = [];
+        let continuationToken;
+
+        try {
+            do {
+                const data = await this.s3.listObjectsV2({
+                    Bucket: config.bucketName,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                }).promise();
+
+                (data.Contents || []).forEach(object => {
+                    if (ANALYSIS_FILE_PATTERN.test(object.Key)) {
+                        files.push({
+                            key: object.Key,
+                            size: object.Size,
+                            lastModified: object.LastModified
+                        });
+                    }
+                });
+
+                continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+            } while (continuationToken);
+        } catch (error) {
+            console.error('Error listing analysis files:', error);
+            throw error;
+        }
+
+        return files.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Download an object and return it as a Blob
+     */
+    async getObjectBlob(s3Key) {
+        if (!this.s3) {
+            throw new Error('S3 client not initialized');
+        }
+
+        const config = window.awsConfigManager.getConfig();
+
         try {
-            const data = await this.s3.headObject({
+            const data = await this.s3.getObject({
                 Bucket: config.bucketName,
                 Key: s3Key
             }).promise();
+
+            return new Blob([data.Body], { type: data.ContentType || 'application/octet-stream' });
+        } catch (error) {
+            console.error('Error downloading object from S3:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get object metadata
+     * Aborting the signal aborts the HEAD request.
+     */
+    async getObjectMetadata(s3Key, signal = null) {
+        if (!this.s3) {
+            throw new Error('S3 client not initialized');
+        }
+
+        const config = window.awsConfigManager.getConfig();
+        const request = this.s3.headObject({
+            Bucket: config.bucketName,
+            Key: s3Key
+        });
+        const abort = () => request.abort();
+        signal?.addEventListener('abort', abort, { once: true });
+
+        try {
+            const data = await request.promise();
             
             return {
                 contentType: data.ContentType,
@@ -167,8 +445,12 @@ class S3Client {
                 etag: data.ETag
             };
         } catch (error) {
-            console.error('Error getting object metadata:', error);
+            if (!signal?.aborted) {
+                console.error('Error getting object metadata:', error);
+            }
             throw error;
+        } finally {
+            signal?.removeEventListener('abort', abort);
         }
     }
 }
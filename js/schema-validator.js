@@ -0,0 +1,372 @@
+/**
+ * Schema Validator
+ * Versioned schema for complete_analysis.json with a path-precise issue report
+ */
+
+const CURRENT_SCHEMA_VERSION = '1.0';
+
+/**
+ * Field specs:
+ *   type      - string | number | integer | boolean | timestamp | array | object
+ *   required  - report the field when it is missing
+ *   nullable  - null is an accepted value
+ *   severity  - severity of a missing or invalid field (default: error)
+ *   min/max   - numeric range, length - exact array length
+ *   items     - spec for array elements, properties - specs for object fields
+ */
+const ANALYSIS_SCHEMAS = {
+    '1.0': {
+        root: {
+            schema_version: { type: 'string', required: true, severity: 'warning' },
+            session_id: { type: 'string', required: true },
+            platform: { type: 'string', required: true, severity: 'warning' },
+            channel: { type: 'string', required: true, severity: 'warning' },
+            date: { type: 'string', required: true, severity: 'warning' },
+            start_time: { type: 'timestamp', nullable: true, severity: 'warning' },
+            end_time: { type: 'timestamp', nullable: true, severity: 'warning' },
+            analyzed_at: { type: 'timestamp', nullable: true, severity: 'warning' },
+            total: { type: 'integer', min: 0, severity: 'warning' },
+            results: { type: 'array', required: true }
+        },
+        result: {
+            type: 'object',
+            properties: {
+                index: { type: 'integer', required: true },
+                screenshot: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        filename: { type: 'string', required: true, severity: 'warning' },
+                        s3_key: { type: 'string', required: true },
+                        timestamp: { type: 'timestamp', required: true },
+                        url: { type: 'string', nullable: true, severity: 'info' },
+                        cache_key: { type: 'string', nullable: true, severity: 'info' }
+                    }
+                },
+                ml_inference: {
+                    type: 'object',
+                    required: true,
+                    severity: 'warning',
+                    properties: {
+                        games: {
+                            type: 'array',
+                            required: true,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    class: { type: 'string', required: true },
+                                    confidence: { type: 'number', required: true, min: 0, max: 1 },
+                                    box: {
+                                        type: 'array',
+                                        required: true,
+                                        severity: 'warning',
+                                        length: 4,
+                                        items: { type: 'number' }
+                                    }
+                                }
+                            }
+                        },
+                        number_of_games: { type: 'integer', required: true, min: 0, severity: 'warning' },
+                        latency_ms: { type: 'number', required: true, min: 0, severity: 'warning' },
+                        is_uniform_frame: { type: 'boolean', severity: 'warning' },
+                        error: { type: 'string', nullable: true, severity: 'warning' }
+                    }
+                },
+                post_processed: {
+                    type: 'object',
+                    required: true,
+                    severity: 'warning',
+                    properties: {
+                        games: {
+                            type: 'array',
+                            required: true,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    game_id: { type: 'string', required: true },
+                                    game_session_id: { type: 'string', required: true }
+                                }
+                            }
+                        },
+                        game_count: { type: 'integer', required: true, min: 0, severity: 'warning' },
+                        event_type: { type: 'string', required: true, severity: 'warning' },
+                        applied_threshold: { type: 'boolean', severity: 'warning' },
+                        sliding_window_state: { type: 'array', severity: 'warning', items: { type: 'string' } },
+                        error: { type: 'string', nullable: true, severity: 'warning' }
+                    }
+                },
+                db_sessions: {
+                    type: 'array',
+                    required: true,
+                    severity: 'warning',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            game_session_id: { type: 'string', required: true },
+                            game_identifier: { type: 'string', required: true },
+                            game_name: { type: 'string', nullable: true, severity: 'info' },
+                            start_time: { type: 'timestamp', required: true },
+                            end_time: { type: 'timestamp', required: true, nullable: true, severity: 'warning' },
+                            true_airtime: { type: 'number', required: true, severity: 'warning' },
+                            matches_screenshot: { type: 'boolean', severity: 'warning' }
+                        }
+                    }
+                },
+                db_game_counts: {
+                    type: 'array',
+                    severity: 'warning',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            timestamp: { type: 'timestamp', required: true },
+                            game_session_id: { type: 'string', required: true },
+                            game_identifier: { type: 'string', required: true }
+                        }
+                    }
+                },
+                discrepancy_flags: {
+                    type: 'object',
+                    required: true,
+                    severity: 'warning',
+                    properties: {
+                        ml_vs_postprocessing: { type: 'boolean', severity: 'warning' },
+                        postprocessing_vs_db: { type: 'boolean', severity: 'warning' },
+                        missing_in_db: { type: 'boolean', severity: 'warning' },
+                        extra_in_db: { type: 'boolean', severity: 'warning' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Cap on issues kept in the session report; per-result issues are always kept
+const MAX_REPORT_ISSUES = 5000;
+
+class SchemaValidator {
+    constructor() {
+        this.schemas = ANALYSIS_SCHEMAS;
+        this.currentVersion = CURRENT_SCHEMA_VERSION;
+    }
+
+    /**
+     * Create an empty validation report
+     */
+    createReport(mode = 'lenient') {
+        return {
+            mode: mode,
+            schemaVersion: null,
+            issues: [],
+            truncated: 0,
+            counts: { error: 0, warning: 0, info: 0 },
+            affectedResults: 0
+        };
+    }
+
+    /**
+     * Pick the schema for the file's schema_version
+     * Unknown or missing versions fall back to the current schema.
+     */
+    resolveSchema(data, report) {
+        const version = data.schema_version;
+
+        if (version !== undefined && this.schemas[String(version)]) {
+            report.schemaVersion = String(version);
+        } else {
+            report.schemaVersion = this.currentVersion;
+            if (version !== undefined) {
+                this.addIssue(report, {
+                    path: 'schema_version',
+                    severity: 'error',
+                    message: `Unsupported schema_version '${version}', validated against ${this.currentVersion}`
+                });
+            }
+        }
+
+        return this.schemas[report.schemaVersion];
+    }
+
+    /**
+     * Validate the top-level fields (result entries are validated separately)
+     */
+    validateRoot(data, report) {
+        const schema = this.schemas[report.schemaVersion] || this.resolveSchema(data, report);
+        const issues = [];
+
+        // A streamed file may declare its version only after the results were checked
+        const declared = data.schema_version !== undefined ? String(data.schema_version) : null;
+        if (declared && declared !== report.schemaVersion && this.schemas[declared]) {
+            issues.push({
+                path: 'schema_version',
+                severity: 'warning',
+                message: `schema_version ${declared} appears after results; results were validated against ${report.schemaVersion}`
+            });
+        }
+
+        Object.entries(schema.root).forEach(([key, spec]) => {
+            // results only needs to be present here; entries are checked one by one
+            const fieldSpec = key === 'results' ? { ...spec, items: undefined } : spec;
+            this.validateValue(data[key], fieldSpec, key, issues, key in data);
+        });
+
+        issues.forEach(issue => this.addIssue(report, issue));
+        return issues;
+    }
+
+    /**
+     * Validate one raw result entry, returning its issues
+     */
+    validateResult(rawResult, position, report) {
+        const schema = this.schemas[report.schemaVersion] || this.schemas[this.currentVersion];
+        const path = `results[${position}]`;
+        const issues = [];
+
+        this.validateValue(rawResult, { ...schema.result, required: true }, path, issues, true);
+
+        if (issues.length === 0) {
+            this.checkConsistency(rawResult, path, issues);
+        }
+
+        if (issues.length > 0) {
+            report.affectedResults++;
+            issues.forEach(issue => this.addIssue(report, { ...issue, position }));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Cross-field checks that the per-field specs cannot express
+     */
+    checkConsistency(rawResult, path, issues) {
+        const ml = rawResult.ml_inference;
+        if (ml && Array.isArray(ml.games) && Number.isInteger(ml.number_of_games) &&
+            ml.number_of_games !== ml.games.length) {
+            issues.push({
+                path: `${path}.ml_inference.number_of_games`,
+                severity: 'warning',
+                message: `number_of_games is ${ml.number_of_games} but games has ${ml.games.length} entries`
+            });
+        }
+
+        const post = rawResult.post_processed;
+        if (post && Array.isArray(post.games) && Number.isInteger(post.game_count) &&
+            post.game_count !== post.games.length) {
+            issues.push({
+                path: `${path}.post_processed.game_count`,
+                severity: 'warning',
+                message: `game_count is ${post.game_count} but games has ${post.games.length} entries`
+            });
+        }
+    }
+
+    /**
+     * Validate a value against a field spec, appending issues
+     */
+    validateValue(value, spec, path, issues, present) {
+        const severity = spec.severity || 'error';
+
+        if (!present || value === undefined) {
+            if (spec.required) {
+                issues.push({ path, severity, message: 'Missing required field' });
+            }
+            return;
+        }
+
+        if (value === null) {
+            if (!spec.nullable) {
+                issues.push({ path, severity, message: 'Must not be null' });
+            }
+            return;
+        }
+
+        const typeError = this.checkType(value, spec.type);
+        if (typeError) {
+            issues.push({ path, severity, message: typeError });
+            return;
+        }
+
+        if (spec.min !== undefined && value < spec.min) {
+            issues.push({ path, severity, message: `${value} is below the minimum of ${spec.min}` });
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            issues.push({ path, severity, message: `${value} is above the maximum of ${spec.max}` });
+        }
+
+        if (spec.type === 'array') {
+            if (spec.length !== undefined && value.length !== spec.length) {
+                issues.push({ path, severity, message: `Expected ${spec.length} entries, found ${value.length}` });
+            }
+            if (spec.items) {
+                value.forEach((item, i) => {
+                    this.validateValue(item, { ...spec.items, required: true }, `${path}[${i}]`, issues, true);
+                });
+            }
+        }
+
+        if (spec.type === 'object' && spec.properties) {
+            Object.entries(spec.properties).forEach(([key, propertySpec]) => {
+                this.validateValue(value[key], propertySpec, `${path}.${key}`, issues, key in value);
+            });
+        }
+    }
+
+    /**
+     * Return a message if the value does not have the expected type
+     */
+    checkType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string' ? null : `Expected string, found ${this.describe(value)}`;
+            case 'number':
+                return typeof value === 'number' && isFinite(value) ? null : `Expected number, found ${this.describe(value)}`;
+            case 'integer':
+                return Number.isInteger(value) ? null : `Expected integer, found ${this.describe(value)}`;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `Expected boolean, found ${this.describe(value)}`;
+            case 'timestamp':
+                if (typeof value !== 'string') return `Expected ISO timestamp, found ${this.describe(value)}`;
+                return isNaN(Date.parse(value)) ? `Unparseable timestamp '${value}'` : null;
+            case 'array':
+                return Array.isArray(value) ? null : `Expected array, found ${this.describe(value)}`;
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value) ? null : `Expected object, found ${this.describe(value)}`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Short description of a value's type for messages
+     */
+    describe(value) {
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !Number.isInteger(value)) return `number ${value}`;
+        return typeof value === 'string'
+            ? `string '${value.slice(0, 40)}'`
+            : `${typeof value} ${JSON.stringify(value).slice(0, 40)}`;
+    }
+
+    /**
+     * Record an issue in the report
+     */
+    addIssue(report, issue) {
+        report.counts[issue.severity]++;
+
+        if (report.issues.length < MAX_REPORT_ISSUES) {
+            report.issues.push(issue);
+        } else {
+            report.truncated++;
+        }
+    }
+
+    /**
+     * Whether a report blocks loading in strict mode
+     */
+    hasErrors(report) {
+        return report.counts.error > 0;
+    }
+}
+
+// Global instance
+window.schemaValidator = new SchemaValidator();
@@ -0,0 +1,186 @@
+/**
+ * Session Integrity Checker
+ * Checks that the db_sessions data is consistent in itself: valid time
+ * ranges and airtime, no overlapping sessions of one game, and no
+ * db_game_counts rows for unknown sessions
+ */
+
+// Airtime may exceed the wall-clock span by this much (seconds) before it is flagged
+const AIRTIME_SPAN_SLACK = 1;
+
+const INTEGRITY_TITLES = {
+    'end-before-start': 'End Before Start',
+    'missing-airtime': 'Missing Airtime',
+    'invalid-airtime': 'Invalid Airtime',
+    'airtime-exceeds-span': 'Airtime Exceeds Span',
+    overlap: 'Overlapping Sessions',
+    'unknown-session': 'Unknown Session in Game Counts'
+};
+
+class SessionIntegrityChecker {
+    constructor() {
+        this.findings = [];
+    }
+
+    /**
+     * Check all DB sessions of the results (timeline order)
+     */
+    run(results) {
+        const sessions = new Map();
+        const sessionFrames = new Map();
+        const countFrames = new Map();
+
+        results.forEach((result, position) => {
+            // The last occurrence of a session carries its most recent values
+            (result.dbSessions || []).forEach(session => {
+                sessions.set(session.gameSessionId, session);
+                this.addFrame(sessionFrames, session.gameSessionId, position);
+            });
+            (result.dbGameCounts || []).forEach(count => {
+                if (!count.gameSessionId) return;
+                this.addFrame(countFrames, count.gameSessionId, position);
+            });
+        });
+
+        this.findings = [];
+
+        sessions.forEach(session => {
+            this.checkSession(session, sessionFrames.get(session.gameSessionId), results);
+        });
+        this.checkOverlaps([...sessions.values()], sessionFrames, results);
+
+        countFrames.forEach((positions, gameSessionId) => {
+            if (sessions.has(gameSessionId)) return;
+
+            this.findings.push({
+                type: 'unknown-session',
+                severity: 'error',
+                gameIdentifier: null,
+                sessionIds: [gameSessionId],
+                message: `db_game_counts refers to session ${gameSessionId}, which never appears in db_sessions`,
+                ...this.describeFrames(positions, results)
+            });
+        });
+
+        this.findings.forEach((finding, id) => {
+            finding.id = id;
+            finding.title = INTEGRITY_TITLES[finding.type];
+        });
+
+        return this.findings;
+    }
+
+    /**
+     * Time range and airtime checks of a single session
+     */
+    checkSession(session, positions, results) {
+        const start = window.analysisUtils.toMillis(session.startTime);
+        const end = window.analysisUtils.toMillis(session.endTime);
+        const name = session.gameName || session.gameIdentifier;
+        const add = (type, severity, message) => this.findings.push({
+            type,
+            severity,
+            gameIdentifier: session.gameIdentifier,
+            sessionIds: [session.gameSessionId],
+            message,
+            ...this.describeFrames(positions, results)
+        });
+
+        if (start !== null && end !== null && end < start) {
+            add('end-before-start', 'error',
+                `${name} ends ${window.discrepancyManager.formatAirtime((start - end) / 1000)} before it starts`);
+        }
+
+        if (session.trueAirtimeMissing) {
+            add('missing-airtime', 'warning', `${name} has no true_airtime`);
+        } else if (session.trueAirtime <= 0) {
+            add('invalid-airtime', session.trueAirtime < 0 ? 'error' : 'warning',
+                `${name} has a true_airtime of ${session.trueAirtime}s`);
+        }
+
+        if (start !== null && end !== null && end >= start) {
+            const span = (end - start) / 1000;
+            if (session.trueAirtime > span + AIRTIME_SPAN_SLACK) {
+                add('airtime-exceeds-span', 'error',
+                    `${name} has ${session.trueAirtime}s of airtime but only ${span.toFixed(0)}s between start and end`);
+            }
+        }
+    }
+
+    /**
+     * Sessions of the same game whose time ranges overlap (open sessions run to the end)
+     */
+    checkOverlaps(sessions, sessionFrames, results) {
+        const byGame = new Map();
+        sessions.forEach(session => {
+            const start = window.analysisUtils.toMillis(session.startTime);
+            const end = window.analysisUtils.toMillis(session.endTime);
+            // Reversed ranges are already reported on their own
+            if (start === null || (end !== null && end < start)) return;
+
+            if (!byGame.has(session.gameIdentifier)) {
+                byGame.set(session.gameIdentifier, []);
+            }
+            byGame.get(session.gameIdentifier).push({ session, start, end: end === null ? Infinity : end });
+        });
+
+        byGame.forEach((ranges, gameIdentifier) => {
+            ranges.sort((a, b) => a.start - b.start);
+
+            for (let i = 0; i < ranges.length; i++) {
+                for (let j = i + 1; j < ranges.length && ranges[j].start < ranges[i].end; j++) {
+                    const first = ranges[i].session;
+                    const second = ranges[j].session;
+                    const overlap = (Math.min(ranges[i].end, ranges[j].end) - ranges[j].start) / 1000;
+
+                    this.findings.push({
+                        type: 'overlap',
+                        severity: 'error',
+                        gameIdentifier,
+                        sessionIds: [first.gameSessionId, second.gameSessionId],
+                        message: isFinite(overlap)
+                            ? `Two sessions of ${first.gameName || gameIdentifier} overlap by ${window.discrepancyManager.formatAirtime(overlap)}`
+                            : `Two sessions of ${first.gameName || gameIdentifier} are open at the same time`,
+                        ...this.describeFrames([
+                            ...sessionFrames.get(first.gameSessionId),
+                            ...sessionFrames.get(second.gameSessionId)
+                        ], results)
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Record the position of a screenshot that refers to a session
+     */
+    addFrame(frames, gameSessionId, position) {
+        if (!frames.has(gameSessionId)) {
+            frames.set(gameSessionId, []);
+        }
+        const positions = frames.get(gameSessionId);
+        if (positions[positions.length - 1] !== position) {
+            positions.push(position);
+        }
+    }
+
+    /**
+     * Links to the first and last affected screenshot, plus how many are affected
+     */
+    describeFrames(positions, results) {
+        const sorted = [...new Set(positions)].sort((a, b) => a - b);
+        const ends = sorted.length > 1 ? [sorted[0], sorted[sorted.length - 1]] : sorted;
+
+        return {
+            screenshotCount: sorted.length,
+            frames: ends.map(position => ({
+                position,
+                index: results[position].index,
+                timestamp: results[position].screenshot?.timestamp || null
+            }))
+        };
+    }
+}
+
+// Global instance
+window.sessionIntegrityChecker = new SessionIntegrityChecker();
@@ -0,0 +1,324 @@
+/**
+ * Swimlane Chart
+ * Time-scaled Gantt view with one lane per game identifier and a track each
+ * for ML detections, post-processed games and DB session spans
+ */
+
+const SWIMLANE_TRACKS = [
+    { key: 'ml', label: 'ML', color: '#4a9eff' },
+    { key: 'post', label: 'Post', color: '#a78bfa' },
+    { key: 'db', label: 'DB', color: '#22c55e' }
+];
+
+const SWIMLANE_LAYOUT = {
+    labelWidth: 160,
+    axisHeight: 24,
+    trackHeight: 8,
+    trackGap: 2,
+    laneGap: 8
+};
+
+// Drag distance (px) under which a mouse press counts as a click
+const SWIMLANE_CLICK_DISTANCE = 4;
+
+class SwimlaneChart {
+    constructor() {
+        this.lanes = [];
+        this.timeStart = 0;
+        this.timeEnd = 0;
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        this.currentTime = null;
+        this.drag = null;
+    }
+
+    /**
+     * Build the lanes from all results (timeline order)
+     */
+    build(results) {
+        const interval = window.analysisUtils.estimateFrameInterval(results) * 1000;
+        // Consecutive detections closer than this are drawn as one bar
+        const joinGap = interval * 1.5;
+        const lanes = new Map();
+        const lane = (gameId) => {
+            if (!lanes.has(gameId)) {
+                lanes.set(gameId, { gameId, name: gameId, ml: [], post: [], db: [] });
+            }
+            return lanes.get(gameId);
+        };
+
+        let timeStart = Infinity;
+        let timeEnd = -Infinity;
+        const dbSessions = new Map();
+
+        results.forEach(result => {
+            const time = Date.parse(result.screenshot?.timestamp);
+            (result.dbSessions || []).forEach(session => dbSessions.set(session.gameSessionId, session));
+            if (isNaN(time)) return;
+
+            timeStart = Math.min(timeStart, time);
+            timeEnd = Math.max(timeEnd, time + interval);
+
+            new Set((result.mlInference?.games || []).map(game => game.class))
+                .forEach(gameId => this.extendBar(lane(gameId).ml, time, interval, joinGap));
+            new Set((result.postProcessed?.games || []).map(game => game.gameId))
+                .forEach(gameId => this.extendBar(lane(gameId).post, time, interval, joinGap));
+        });
+
+        if (!isFinite(timeStart)) {
+            this.lanes = [];
+            return this.lanes;
+        }
+
+        dbSessions.forEach(session => {
+            const start = Date.parse(session.startTime);
+            if (isNaN(start)) return;
+
+            const end = Date.parse(session.endTime);
+            const entry = lane(session.gameIdentifier);
+            entry.name = session.gameName || entry.name;
+            entry.db.push({
+                start,
+                // Open sessions run to the end of the analysis
+                end: isNaN(end) ? Math.max(timeEnd, start) : end,
+                open: isNaN(end),
+                label: session.gameSessionId
+            });
+            timeStart = Math.min(timeStart, start);
+            if (!isNaN(end)) {
+                timeEnd = Math.max(timeEnd, end);
+            }
+        });
+
+        this.lanes = [...lanes.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+        this.timeStart = timeStart;
+        this.timeEnd = Math.max(timeEnd, timeStart + 1000);
+        this.resetView();
+
+        return this.lanes;
+    }
+
+    /**
+     * Add a frame to the last bar of a track, or start a new bar
+     */
+    extendBar(bars, time, interval, joinGap) {
+        const last = bars[bars.length - 1];
+        if (last && time - last.lastFrame <= joinGap) {
+            last.lastFrame = Math.max(last.lastFrame, time);
+            last.end = Math.max(last.end, time + interval);
+            last.frames++;
+        } else {
+            bars.push({ start: time, end: time + interval, lastFrame: time, frames: 1 });
+        }
+    }
+
+    /**
+     * Show the whole time range
+     */
+    resetView() {
+        this.viewStart = this.timeStart;
+        this.viewEnd = this.timeEnd;
+    }
+
+    /**
+     * Listen for zoom, pan and click on the chart canvas
+     * onJump receives the time (ms) of a click.
+     */
+    attach(canvas, onJump) {
+        const container = canvas.parentElement;
+
+        canvas.addEventListener('wheel', (e) => {
+            if (this.lanes.length === 0) return;
+            e.preventDefault();
+
+            const x = e.offsetX - SWIMLANE_LAYOUT.labelWidth;
+            if (x < 0) return;
+            this.zoomAt(this.xToTime(x, canvas.width), e.deltaY < 0 ? 1 / 1.25 : 1.25);
+            this.render();
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.drag = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY };
+            canvas.classList.add('dragging');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+
+            const width = canvas.width - SWIMLANE_LAYOUT.labelWidth;
+            const shift = (this.drag.x - e.clientX) / width * (this.viewEnd - this.viewStart);
+            this.viewStart += shift;
+            this.viewEnd += shift;
+            container.scrollTop += this.drag.y - e.clientY;
+            this.drag.x = e.clientX;
+            this.drag.y = e.clientY;
+            this.render();
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            if (!this.drag) return;
+
+            const moved = Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY);
+            this.drag = null;
+            canvas.classList.remove('dragging');
+
+            const rect = canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left - SWIMLANE_LAYOUT.labelWidth;
+            if (moved < SWIMLANE_CLICK_DISTANCE && x >= 0) {
+                onJump(this.xToTime(x, canvas.width));
+            }
+        });
+    }
+
+    /**
+     * Zoom the time axis by a factor around a time
+     */
+    zoomAt(time, factor) {
+        // No closer than one second across the chart
+        const span = Math.max(1000, (this.viewEnd - this.viewStart) * factor);
+        const ratio = (time - this.viewStart) / (this.viewEnd - this.viewStart);
+
+        this.viewStart = time - span * ratio;
+        this.viewEnd = this.viewStart + span;
+    }
+
+    /**
+     * Chart x (right of the labels) to time
+     */
+    xToTime(x, canvasWidth) {
+        const width = canvasWidth - SWIMLANE_LAYOUT.labelWidth;
+        return this.viewStart + (x / width) * (this.viewEnd - this.viewStart);
+    }
+
+    /**
+     * Time to canvas x
+     */
+    timeToX(time, canvasWidth) {
+        const width = canvasWidth - SWIMLANE_LAYOUT.labelWidth;
+        return SWIMLANE_LAYOUT.labelWidth + (time - this.viewStart) / (this.viewEnd - this.viewStart) * width;
+    }
+
+    /**
+     * Mark the time of the current screenshot
+     */
+    setCurrentTime(timestamp) {
+        const time = Date.parse(timestamp);
+        this.currentTime = isNaN(time) ? null : time;
+        this.render();
+    }
+
+    /**
+     * Draw the chart
+     */
+    render() {
+        const canvas = document.getElementById('swimlaneCanvas');
+        const ctx = canvas.getContext('2d');
+        const layout = SWIMLANE_LAYOUT;
+        const laneHeight = SWIMLANE_TRACKS.length * (layout.trackHeight + layout.trackGap) + layout.laneGap;
+
+        document.getElementById('swimlaneEmpty').style.display = this.lanes.length === 0 ? 'block' : 'none';
+        if (this.lanes.length === 0) {
+            canvas.height = 0;
+            return;
+        }
+
+        const width = canvas.parentElement.clientWidth || 800;
+        const height = layout.axisHeight + this.lanes.length * laneHeight;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        ctx.clearRect(0, 0, width, height);
+        this.drawAxis(ctx, width, height);
+
+        this.lanes.forEach((lane, i) => {
+            const top = layout.axisHeight + i * laneHeight;
+
+            ctx.fillStyle = i % 2 === 0 ? 'rgba(255, 255, 255, 0.03)' : 'transparent';
+            ctx.fillRect(0, top, width, laneHeight);
+
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '12px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.truncate(ctx, lane.name, layout.labelWidth - 10), 6, top + (laneHeight - layout.laneGap) / 2);
+
+            SWIMLANE_TRACKS.forEach((track, t) => {
+                const y = top + t * (layout.trackHeight + layout.trackGap);
+                ctx.fillStyle = track.color;
+                lane[track.key].forEach(bar => {
+                    const x1 = Math.max(layout.labelWidth, this.timeToX(bar.start, width));
+                    const x2 = Math.min(width, this.timeToX(bar.end, width));
+                    if (x2 < layout.labelWidth || x1 > width) return;
+
+                    ctx.globalAlpha = bar.open ? 0.5 : 1;
+                    // Keep very short bars visible when zoomed out
+                    ctx.fillRect(x1, y, Math.max(1, x2 - x1), layout.trackHeight);
+                });
+                ctx.globalAlpha = 1;
+            });
+        });
+
+        if (this.currentTime !== null) {
+            const x = this.timeToX(this.currentTime, width);
+            if (x >= layout.labelWidth && x <= width) {
+                ctx.strokeStyle = '#f59e0b';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * Draw time ticks along the top and the label column border
+     */
+    drawAxis(ctx, width, height) {
+        const layout = SWIMLANE_LAYOUT;
+        const span = this.viewEnd - this.viewStart;
+        const steps = [1, 5, 10, 30, 60, 300, 600, 1800, 3600, 7200, 21600].map(s => s * 1000);
+        // Aim for a tick roughly every 100px
+        const target = span / Math.max(1, (width - layout.labelWidth) / 100);
+        const step = steps.find(s => s >= target) || steps[steps.length - 1];
+
+        ctx.strokeStyle = '#404040';
+        ctx.fillStyle = '#a0a0a0';
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+
+        for (let time = Math.ceil(this.viewStart / step) * step; time <= this.viewEnd; time += step) {
+            const x = Math.round(this.timeToX(time, width)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, layout.axisHeight - 4);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(new Date(time).toLocaleTimeString(), x + 3, layout.axisHeight / 2);
+        }
+
+        ctx.clearRect(0, 0, layout.labelWidth, height);
+        ctx.beginPath();
+        ctx.moveTo(layout.labelWidth - 0.5, 0);
+        ctx.lineTo(layout.labelWidth - 0.5, height);
+        ctx.stroke();
+    }
+
+    /**
+     * Shorten a label to fit a width
+     */
+    truncate(ctx, text, maxWidth) {
+        let label = String(text);
+        if (ctx.measureText(label).width <= maxWidth) return label;
+
+        while (label.length > 1 && ctx.measureText(label + '…').width > maxWidth) {
+            label = label.slice(0, -1);
+        }
+        return label + '…';
+    }
+}
+
+// Global instance
+window.swimlaneChart = new SwimlaneChart();
@@ -3,6 +3,22 @@
  * Handles screenshot display, navigation, and timeline
  */
 
+const CANVAS_MAX_HEIGHT = 500;
+
+// Screenshots fetched ahead of the playhead during playback
+const PLAYBACK_BUFFER_SIZE = 10;
+// Screenshots prefetched around the current one, in and against the direction of travel
+const PREFETCH_AHEAD = 4;
+const PREFETCH_BEHIND = 1;
+// Longest wait between two frames in real-time playback (ms), so gaps in the stream are skipped
+const PLAYBACK_MAX_FRAME_DELAY = 3000;
+
+// Timeline width (px) of one expected capture interval
+const TIMELINE_SLOT_WIDTH = 24;
+const TIMELINE_ITEM_WIDTH = 20;
+// Vertical step between rows of screenshots that would cover each other
+const TIMELINE_ROW_HEIGHT = 44;
+
 class ScreenshotViewer {
     constructor() {
         this.results = [];
@@ -13,27 +29,124 @@ class ScreenshotViewer {
             mlVsPost: false,
             postVsDb: false,
             missingInDb: false,
-            extraInDb: false
+            extraInDb: false,
+            flagMismatch: false,
+            simulatorDiff: false,
+            airtimeDrift: false,
+            gameCountIssue: false,
+            mismatchCause: '',
+            rule: '',
+            reviewStatus: '',
+            query: null
         };
         this.showBoundingBoxes = false;
+        this.filterRun = 0;
+        // Set while a file is being parsed; filter changes wait for the final results
+        this.streaming = false;
+        this.currentImage = null;
+        this.currentBoxes = [];
+        this.timelineLayout = null;
+        // Direction of the last navigation (1 forward, -1 back) and the index it started from
+        this.direction = 1;
+        this.lastShownIndex = null;
+        this.playback = {
+            playing: false,
+            run: 0,
+            // 'realtime' follows the screenshot timestamps, 'fps' a fixed frame rate
+            mode: 'realtime',
+            speed: 1,
+            fps: 2,
+            loop: false,
+            from: null,
+            to: null,
+            pauseOnDiscrepancy: false
+        };
     }
 
     /**
      * Load results into viewer
+     * Shows the result with keepIndex when the filters let it through, else the first one.
      */
-    loadResults(results) {
+    async loadResults(results, keepIndex = null) {
+        this.pause();
+        this.streaming = false;
         this.results = results;
-        this.applyFilters();
         this.currentIndex = 0;
+        if (!await this.applyFilters()) return;
+
+        const position = this.filteredResults.findIndex(result => result.index === keepIndex);
+        if (position !== -1) {
+            this.currentIndex = position;
+        }
         this.renderTimeline();
         this.displayCurrent();
     }
 
+    /**
+     * Start showing results while the file is still being parsed
+     * The results array keeps growing; call appendResults() after each batch.
+     * Filters are not applied while streaming: changes to them are kept, and
+     * loadResults() applies them to the final results once parsing has finished.
+     */
+    beginStreaming(results) {
+        this.streaming = true;
+        this.results = results;
+        this.filteredResults = results;
+        this.currentIndex = 0;
+        this.renderTimeline();
+        this.displayCurrent();
+    }
+
+    /**
+     * Render a batch of results appended to the streaming results array
+     */
+    appendResults(batch) {
+        if (!this.streaming) return;
+
+        // Unfiltered while streaming, so the batch is the tail of the results
+        const trackEl = document.getElementById('timelineTrack');
+        const start = this.results.length - batch.length;
+
+        for (let index = start; index < this.results.length; index++) {
+            trackEl.appendChild(this.createTimelineItem(this.results[index], index));
+        }
+        this.updateTimelineSize(trackEl);
+
+        this.updateCounter();
+        this.updateNavigationButtons();
+    }
+
     /**
      * Apply filters to results
+     * Resolves to false when a newer filter run has superseded this one, or
+     * while streaming (the criteria are applied once the file is loaded).
      */
-    applyFilters() {
-        this.filteredResults = window.jsonParser.filterResults(this.filterCriteria);
+    async applyFilters() {
+        const filterRun = ++this.filterRun;
+        if (this.streaming) return false;
+
+        let filtered = await window.jsonParser.filterResultsAsync(this.filterCriteria);
+
+        // Superseded by a newer filter run or by loading a new file
+        if (filtered === null || filterRun !== this.filterRun) {
+            return false;
+        }
+
+        // Simulator predictions, airtime reconciliation and game count checks live on the main thread only
+        if (this.filterCriteria.simulatorDiff) {
+            filtered = filtered.filter(result => window.windowSimulator.differs(result));
+        }
+        if (this.filterCriteria.airtimeDrift) {
+            filtered = filtered.filter(result => window.airtimeReconciler.hasDrift(result));
+        }
+        if (this.filterCriteria.gameCountIssue) {
+            filtered = filtered.filter(result => window.gameCountChecker.hasIssues(result));
+        }
+        if (this.filterCriteria.reviewStatus) {
+            filtered = filtered.filter(result => window.reviewStore.matchesStatus(result, this.filterCriteria.reviewStatus));
+        }
+
+        this.filteredResults = filtered;
 
         // If no results match filters, show all
         if (this.filteredResults.length === 0 && this.results.length > 0) {
@@ -44,6 +157,8 @@ class ScreenshotViewer {
         if (this.currentIndex >= this.filteredResults.length) {
             this.currentIndex = 0;
         }
+
+        return true;
     }
 
     /**
@@ -57,14 +172,27 @@ class ScreenshotViewer {
 
         const result = this.filteredResults[this.currentIndex];
 
+        // Keep the URL hash on the screenshot being shown
+        window.deepLink.sync();
+
+        if (this.lastShownIndex !== null && result.index !== this.lastShownIndex) {
+            this.direction = result.index > this.lastShownIndex ? 1 : -1;
+        }
+        this.lastShownIndex = result.index;
+
         // Update counter
         this.updateCounter();
 
         // Update screenshot metadata
         this.updateScreenshotMetadata(result);
 
-        // Load and display screenshot
-        await this.displayScreenshot(result.screenshot, result.mlInference);
+        // Load and display screenshot; neighbours are fetched in the background
+        const screenshotShown = this.displayScreenshot(result);
+        this.preloadAdjacent();
+        await screenshotShown;
+
+        // A newer navigation took over while the image loaded
+        if (result !== this.getCurrentResult()) return;
 
         // Display comparison data
         window.comparisonDisplay.displayResult(result);
@@ -73,6 +201,21 @@ class ScreenshotViewer {
         const discrepancies = window.discrepancyManager.analyzeResult(result);
         window.discrepancyManager.renderDiscrepancyAlert(discrepancies);
 
+        // Show the triage status and notes
+        window.reviewStore.renderReview(result, discrepancies);
+
+        // Display sliding window prediction
+        window.windowSimulator.renderFrame(result);
+
+        // Show the reviewer's labels when labelling
+        window.groundTruth.renderLabeler(result);
+
+        // Highlight the incident this result belongs to
+        window.incidentTracker.highlightCurrent(result);
+
+        // Mark the screenshot's time in the swimlanes
+        window.swimlaneChart.setCurrentTime(result.screenshot?.timestamp);
+
         // Update timeline highlight
         this.updateTimelineHighlight();
 
@@ -83,12 +226,15 @@ class ScreenshotViewer {
     /**
      * Display screenshot with optional bounding boxes
      */
-    async displayScreenshot(screenshot, mlInference) {
+    async displayScreenshot(result) {
+        const screenshot = result.screenshot;
         const canvas = document.getElementById('screenshotCanvas');
         const ctx = canvas.getContext('2d');
         const loader = document.getElementById('imageLoader');
 
         if (!screenshot || !screenshot.s3Key) {
+            this.currentImage = null;
+            loader.style.display = 'none';
             ctx.clearRect(0, 0, canvas.width, canvas.height);
             ctx.fillStyle = '#666';
             ctx.font = '16px sans-serif';
@@ -101,23 +247,21 @@ class ScreenshotViewer {
 
             // Load image from S3
             const img = await window.s3Client.loadImage(screenshot.s3Key);
+            if (result !== this.getCurrentResult()) return;
 
-            // Set canvas size to match image
-            canvas.width = img.width;
-            canvas.height = img.height;
-
-            // Draw image
-            ctx.drawImage(img, 0, 0);
-
-            // Draw bounding boxes if enabled
-            if (this.showBoundingBoxes && mlInference?.games) {
-                this.drawBoundingBoxes(ctx, mlInference.games, canvas.width, canvas.height);
-            }
+            this.currentImage = img;
+            this.currentBoxes = window.boxOverlay.mapBoxes(result);
+            window.canvasZoom.setImage(img.width, img.height);
+            this.renderCanvas();
 
             loader.style.display = 'none';
         } catch (error) {
+            // Cancelled because the user moved on to another screenshot
+            if (result !== this.getCurrentResult()) return;
+
             console.error('Error loading screenshot:', error);
             loader.style.display = 'none';
+            this.currentImage = null;
 
             // Display error on canvas
             ctx.fillStyle = '#333';
@@ -131,33 +275,95 @@ class ScreenshotViewer {
         }
     }
 
+    /**
+     * Draw the current image (and bounding boxes) at the current zoom and pan
+     */
+    renderCanvas() {
+        const img = this.currentImage;
+        if (!img) return;
+
+        const canvas = document.getElementById('screenshotCanvas');
+        const ctx = canvas.getContext('2d');
+
+        // The canvas fills the container width; the image is placed by the zoom transform
+        const width = canvas.parentElement.clientWidth || img.width;
+        const height = Math.min(CANVAS_MAX_HEIGHT, Math.round(width * img.height / img.width));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        window.canvasZoom.setViewport(width, height);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        window.canvasZoom.applyTo(ctx);
+        // Show individual pixels when magnified
+        ctx.imageSmoothingEnabled = window.canvasZoom.scale < 1;
+        ctx.drawImage(img, 0, 0);
+
+        if (this.showBoundingBoxes) {
+            this.drawBoundingBoxes(ctx, this.currentBoxes, window.canvasZoom.scale);
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        document.getElementById('zoomLevel').textContent = window.canvasZoom.describe();
+        document.getElementById('zoomToggleBtn').textContent = window.canvasZoom.mode === 'fit' ? '1:1' : 'Fit';
+    }
+
+    /**
+     * Zoom the canvas to an ML bounding box
+     */
+    zoomToBox(box) {
+        window.canvasZoom.zoomToBox(box);
+        this.renderCanvas();
+    }
+
+    /**
+     * Switch the canvas between fit and 1:1
+     */
+    toggleZoom() {
+        window.canvasZoom.toggleFit();
+        this.renderCanvas();
+    }
+
     /**
      * Draw bounding boxes on canvas
+     * Boxes are mapped by window.boxOverlay, which sets their labels and style.
+     * The context draws in image pixels; line width and labels are divided by
+     * the zoom scale so they keep their on-screen size at every zoom level.
      */
-    drawBoundingBoxes(ctx, games, canvasWidth, canvasHeight) {
-        const colors = ['#4a9eff', '#6b5ce7', '#22c55e', '#f59e0b', '#ef4444'];
+    drawBoundingBoxes(ctx, boxes, scale) {
+        const px = value => value / scale;
+        const lineHeight = px(18);
 
-        games.forEach((game, index) => {
-            if (!game.box || game.box.length !== 4) return;
+        boxes.forEach(entry => {
+            if (!entry.box || entry.box.length !== 4) return;
 
-            const [x1, y1, x2, y2] = game.box;
-            const color = colors[index % colors.length];
+            const [x1, y1, x2, y2] = entry.box;
+            const style = window.boxOverlay.getStyle(entry);
+            const labels = window.boxOverlay.getLabels(entry);
 
             // Draw rectangle
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 3;
+            ctx.strokeStyle = style.color;
+            ctx.lineWidth = px(3);
+            ctx.setLineDash(style.dash.map(px));
             ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+            ctx.setLineDash([]);
 
-            // Draw label background
-            const label = game.class;
-            ctx.font = '14px sans-serif';
-            const textWidth = ctx.measureText(label).width;
-            ctx.fillStyle = color;
-            ctx.fillRect(x1, y1 - 22, textWidth + 10, 20);
+            // Draw label background (one line per pipeline stage, stacked above the box)
+            ctx.font = `${px(14)}px sans-serif`;
+            const textWidth = Math.max(...labels.map(label => ctx.measureText(label).width));
+            const top = y1 - labels.length * lineHeight - px(4);
+            ctx.fillStyle = style.color;
+            ctx.fillRect(x1, top, textWidth + px(10), labels.length * lineHeight + px(2));
 
             // Draw label text
             ctx.fillStyle = '#fff';
-            ctx.fillText(label, x1 + 5, y1 - 6);
+            labels.forEach((label, line) => {
+                ctx.fillText(label, x1 + px(5), top + (line + 1) * lineHeight - px(4));
+            });
         });
     }
 
@@ -252,33 +458,175 @@ class ScreenshotViewer {
 
     /**
      * Render timeline
+     * Screenshots are placed by timestamp, TIMELINE_SLOT_WIDTH apart at the
+     * expected capture cadence, so gaps in the captures show as gaps.
      */
     renderTimeline() {
         const trackEl = document.getElementById('timelineTrack');
         trackEl.innerHTML = '';
 
+        const cadence = window.captureGapDetector.cadence ||
+            window.analysisUtils.estimateFrameInterval(this.filteredResults);
+        this.timelineLayout = {
+            // Time (ms) at x = 0, set by the first timestamped screenshot
+            origin: null,
+            pxPerMs: cadence > 0 ? TIMELINE_SLOT_WIDTH / (cadence * 1000) : 0,
+            lastX: null,
+            rows: [],
+            width: 0
+        };
+
         this.filteredResults.forEach((result, index) => {
-            const item = document.createElement('div');
-            item.className = 'timeline-item';
-            
-            if (result.hasDiscrepancy) {
-                item.classList.add('discrepancy');
-            } else {
-                item.classList.add('match');
+            trackEl.appendChild(this.createTimelineItem(result, index));
+        });
+        window.captureGapDetector.gaps.forEach(gap => {
+            const marker = this.createGapMarker(gap);
+            if (marker) {
+                trackEl.appendChild(marker);
             }
+        });
+        this.updateTimelineSize(trackEl);
+    }
 
-            if (index === this.currentIndex) {
-                item.classList.add('current');
+    /**
+     * Position a timeline element by the screenshot timestamp
+     * Screenshots without a timestamp follow the previous one; screenshots
+     * closer than half a slot to another move to the next free row.
+     */
+    placeTimelineItem(item, result) {
+        const layout = this.timelineLayout;
+        const time = Date.parse(result.screenshot?.timestamp);
+        const next = layout.lastX === null ? 0 : layout.lastX + TIMELINE_SLOT_WIDTH;
+        let x = next;
+
+        if (!isNaN(time) && layout.pxPerMs > 0) {
+            if (layout.origin === null) {
+                layout.origin = time - next / layout.pxPerMs;
             }
+            x = Math.max(0, (time - layout.origin) * layout.pxPerMs);
+        }
 
-            item.title = `Index ${result.index}: ${result.screenshot?.timestamp || 'N/A'}`;
-            item.addEventListener('click', () => {
-                this.currentIndex = index;
-                this.displayCurrent();
-            });
+        let row = layout.rows.findIndex(rowX => x >= rowX + TIMELINE_ITEM_WIDTH / 2);
+        if (row === -1) {
+            row = layout.rows.length;
+        }
+
+        layout.rows[row] = x;
+        layout.lastX = Math.max(layout.lastX ?? 0, x);
+        layout.width = Math.max(layout.width, x + TIMELINE_ITEM_WIDTH);
+
+        item.style.left = `${Math.round(x)}px`;
+        item.style.top = `${row * TIMELINE_ROW_HEIGHT}px`;
+    }
 
-            trackEl.appendChild(item);
+    /**
+     * Create the marker for a period without captures
+     * Returns null when the gap cannot be placed on the time axis.
+     */
+    createGapMarker(gap) {
+        const layout = this.timelineLayout;
+        if (layout.origin === null) return null;
+
+        const x1 = (gap.startTime - layout.origin) * layout.pxPerMs + TIMELINE_ITEM_WIDTH;
+        const x2 = (gap.endTime - layout.origin) * layout.pxPerMs;
+        if (x2 <= x1) return null;
+
+        const duration = window.discrepancyManager.formatAirtime(gap.duration);
+        const marker = document.createElement('div');
+        marker.className = 'timeline-gap';
+        marker.style.left = `${Math.round(x1)}px`;
+        marker.style.width = `${Math.round(x2 - x1)}px`;
+        marker.title = `No captures for ${duration} (about ${gap.missedCaptures} missed)`;
+        marker.textContent = duration;
+
+        return marker;
+    }
+
+    /**
+     * Size the track to its screenshots so the container scrolls
+     */
+    updateTimelineSize(trackEl) {
+        const layout = this.timelineLayout;
+        trackEl.style.width = `${layout.width}px`;
+        trackEl.style.height = `${Math.max(1, layout.rows.length) * TIMELINE_ROW_HEIGHT - 4}px`;
+    }
+
+    /**
+     * Create the timeline element for a result at a filtered position
+     */
+    createTimelineItem(result, index) {
+        const item = document.createElement('div');
+        item.className = 'timeline-item';
+        
+        if (result.hasDiscrepancy) {
+            item.classList.add('discrepancy');
+        } else {
+            item.classList.add('match');
+        }
+
+        if (index === this.currentIndex) {
+            item.classList.add('current');
+        }
+
+        // Mark where a stitched chunk begins
+        const previous = this.filteredResults[index - 1];
+        const chunkStart = previous && result.chunk !== undefined && previous.chunk !== result.chunk;
+        if (chunkStart) {
+            item.classList.add('chunk-start');
+        }
+
+        // Mark results whose pipeline flags disagree with the recomputed ones
+        if (result.flagMismatches.length > 0) {
+            item.classList.add('flag-mismatch');
+        }
+
+        // Mark results matching user-defined rules by their worst severity
+        const ruleSeverity = window.analysisUtils.worstSeverity(result.ruleMatches);
+        if (ruleSeverity) {
+            item.classList.add(`rule-${ruleSeverity}`);
+        }
+
+        // Mark frames where the sliding window simulation disagrees with post-processing
+        const simulatorDiffers = window.windowSimulator.differs(result);
+        if (simulatorDiffers) {
+            item.classList.add('sim-diff');
+        }
+
+        // Mark results whose raw entry failed schema validation
+        const schemaSeverity = window.analysisUtils.worstSeverity(result.schemaIssues);
+        if (schemaSeverity) {
+            item.classList.add(`schema-${schemaSeverity}`);
+        }
+
+        // Mark screenshots sharing their timestamp with another
+        const duplicateTimestamp = window.captureGapDetector.isDuplicate(result);
+        if (duplicateTimestamp) {
+            item.classList.add('duplicate-timestamp');
+        }
+
+        // Mark reviewed results by their triage status
+        const review = window.reviewStore.getReview(result);
+        if (review && review.status !== 'new') {
+            const marker = document.createElement('span');
+            marker.className = `review-marker review-${review.status}`;
+            item.appendChild(marker);
+        }
+
+        item.title = `Index ${result.index}: ${result.screenshot?.timestamp || 'N/A'}` +
+            (schemaSeverity ? ` (${result.schemaIssues.length} schema issue(s))` : '') +
+            (result.flagMismatches.length > 0 ? ` (flag mismatch: ${result.flagMismatches.map(m => m.flag).join(', ')})` : '') +
+            (ruleSeverity ? ` (rules: ${result.ruleMatches.map(m => m.name).join(', ')})` : '') +
+            (simulatorDiffers ? ' (simulation differs)' : '') +
+            (duplicateTimestamp ? ' (duplicate timestamp)' : '') +
+            (review ? ` (review: ${review.status}${review.notes ? ` - ${review.notes}` : ''})` : '') +
+            (chunkStart ? ` - start of chunk ${result.chunk + 1}` : '');
+        item.addEventListener('click', () => {
+            this.currentIndex = index;
+            this.displayCurrent();
         });
+        this.placeTimelineItem(item, result);
+
+        return item;
     }
 
     /**
@@ -300,35 +648,236 @@ class ScreenshotViewer {
      */
     toggleBoundingBoxes(enabled) {
         this.showBoundingBoxes = enabled;
-        this.displayCurrent();
+        this.renderCanvas();
+        window.deepLink.sync();
+    }
+
+    /**
+     * Set what the bounding box labels show
+     */
+    setOverlayMode(mode) {
+        window.boxOverlay.setMode(mode);
+        this.renderCanvas();
+        window.deepLink.sync();
     }
 
     /**
      * Update filter
      */
-    updateFilter(filterName, enabled) {
+    async updateFilter(filterName, enabled) {
         this.filterCriteria[filterName] = enabled;
-        this.applyFilters();
+        if (!await this.applyFilters()) return;
         this.renderTimeline();
         this.displayCurrent();
     }
 
+    /**
+     * Set several filter criteria and apply them at once
+     * Resolves to false when a newer filter run has superseded this one.
+     */
+    async setFilters(criteria) {
+        Object.assign(this.filterCriteria, criteria);
+        if (!await this.applyFilters()) return false;
+        this.renderTimeline();
+        return true;
+    }
+
     /**
      * Clear all filters
      */
-    clearFilters() {
+    async clearFilters() {
         this.filterCriteria = {
             onlyDiscrepancies: false,
             mlVsPost: false,
             postVsDb: false,
             missingInDb: false,
-            extraInDb: false
+            extraInDb: false,
+            flagMismatch: false,
+            simulatorDiff: false,
+            airtimeDrift: false,
+            gameCountIssue: false,
+            mismatchCause: '',
+            rule: '',
+            reviewStatus: '',
+            query: null
         };
-        this.applyFilters();
+        if (!await this.applyFilters()) return;
         this.renderTimeline();
         this.displayCurrent();
     }
 
+    /**
+     * Update playback settings (mode, speed, fps, loop, from, to, pauseOnDiscrepancy)
+     */
+    setPlaybackOptions(options) {
+        Object.assign(this.playback, options);
+    }
+
+    /**
+     * Start or stop playback
+     */
+    togglePlay() {
+        if (this.playback.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Start playing from the current screenshot
+     */
+    async play() {
+        if (this.filteredResults.length === 0 || this.playback.playing) return;
+
+        const range = this.getPlaybackRange();
+        if (this.currentIndex < range.start || this.currentIndex >= range.end) {
+            this.currentIndex = range.start;
+            await this.displayCurrent();
+        }
+
+        this.playback.playing = true;
+        const run = ++this.playback.run;
+        this.updatePlaybackState();
+
+        while (this.playback.playing && run === this.playback.run) {
+            if (!await this.playNextFrame(run)) break;
+        }
+
+        if (run === this.playback.run) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Stop playing
+     */
+    pause() {
+        this.playback.playing = false;
+        this.playback.run++;
+        this.updatePlaybackState();
+
+        // The playback buffer is no longer needed
+        window.s3Client.preloadImages([], FETCH_PRIORITIES.playback);
+    }
+
+    /**
+     * Advance playback by one screenshot
+     * Resolves to false when playback should stop.
+     */
+    async playNextFrame(run) {
+        const next = this.getNextPlaybackPosition();
+        if (next === null) return false;
+
+        const position = this.currentIndex;
+        const current = this.filteredResults[position];
+        const upcoming = this.filteredResults[next];
+        this.bufferAhead(next);
+
+        // Wait for the frame's time slot and its image, whichever takes longer
+        const image = upcoming.screenshot?.s3Key
+            ? window.s3Client.fetchImage(upcoming.screenshot.s3Key, FETCH_PRIORITIES.playback).catch(() => null)
+            : null;
+        await Promise.all([
+            new Promise(resolve => setTimeout(resolve, this.getPlaybackDelay(current, upcoming))),
+            image
+        ]);
+        if (run !== this.playback.run) return false;
+
+        // Carry on from wherever the user navigated or filtered to meanwhile
+        if (this.currentIndex !== position || this.filteredResults[next] !== upcoming) {
+            return true;
+        }
+
+        const hadDiscrepancy = window.discrepancyManager.analyzeResult(current).length > 0;
+        this.currentIndex = next;
+        await this.displayCurrent();
+
+        // Stop at the first screenshot of the next run of discrepancies
+        if (this.playback.pauseOnDiscrepancy && !hadDiscrepancy &&
+            window.discrepancyManager.analyzeResult(upcoming).length > 0) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Filtered positions played: start inclusive, end exclusive
+     */
+    getPlaybackRange() {
+        const { from, to } = this.playback;
+        let start = 0;
+        let end = this.filteredResults.length;
+
+        if (from !== null) {
+            const position = this.filteredResults.findIndex(result => result.index >= from);
+            start = position === -1 ? end : position;
+        }
+        if (to !== null) {
+            const position = this.filteredResults.findIndex(result => result.index > to);
+            end = position === -1 ? end : position;
+        }
+
+        // An empty range plays everything
+        return start < end ? { start, end } : { start: 0, end: this.filteredResults.length };
+    }
+
+    /**
+     * Position after the current one, wrapping when looping (null at the end)
+     */
+    getNextPlaybackPosition() {
+        const range = this.getPlaybackRange();
+        const next = this.currentIndex + 1;
+
+        if (next < range.end) return next;
+        return this.playback.loop && range.end - range.start > 1 ? range.start : null;
+    }
+
+    /**
+     * Time to show a screenshot before the next one (ms)
+     */
+    getPlaybackDelay(current, next) {
+        if (this.playback.mode === 'fps') {
+            return 1000 / this.playback.fps;
+        }
+
+        const gap = Date.parse(next.screenshot?.timestamp) - Date.parse(current.screenshot?.timestamp);
+        if (isNaN(gap) || gap <= 0) return 0;
+
+        return Math.min(PLAYBACK_MAX_FRAME_DELAY, gap / this.playback.speed);
+    }
+
+    /**
+     * Fetch the screenshots following a position (wrapping when looping)
+     */
+    bufferAhead(position) {
+        const range = this.getPlaybackRange();
+        const keys = [];
+
+        for (let i = 0, p = position; i < PLAYBACK_BUFFER_SIZE; i++, p++) {
+            if (p >= range.end) {
+                if (!this.playback.loop) break;
+                p = range.start;
+            }
+            const s3Key = this.filteredResults[p].screenshot?.s3Key;
+            if (s3Key) {
+                keys.push(s3Key);
+            }
+        }
+
+        window.s3Client.preloadImages(keys, FETCH_PRIORITIES.playback);
+    }
+
+    /**
+     * Reflect the playback state in the play button
+     */
+    updatePlaybackState() {
+        const button = document.getElementById('playBtn');
+        button.textContent = this.playback.playing ? '⏸ Pause' : '▶ Play';
+        button.classList.toggle('playing', this.playback.playing);
+    }
+
     /**
      * Get current result
      */
@@ -337,27 +886,28 @@ class ScreenshotViewer {
     }
 
     /**
-     * Preload adjacent screenshots
+     * Prefetch the screenshots around the current one
+     * Reaches PREFETCH_AHEAD screenshots in the direction of travel and
+     * PREFETCH_BEHIND against it, nearest first; stale prefetches are cancelled.
      */
-    async preloadAdjacent() {
+    preloadAdjacent() {
         const toPreload = [];
 
-        // Preload next 3 and previous 1
-        for (let i = -1; i <= 3; i++) {
-            const index = this.currentIndex + i;
-            if (index >= 0 && index < this.filteredResults.length && index !== this.currentIndex) {
-                const result = this.filteredResults[index];
-                if (result.screenshot?.s3Key) {
-                    toPreload.push(result.screenshot.s3Key);
-                }
+        for (let step = 1; step <= PREFETCH_AHEAD; step++) {
+            const positions = [this.currentIndex + step * this.direction];
+            if (step <= PREFETCH_BEHIND) {
+                positions.push(this.currentIndex - step * this.direction);
             }
-        }
 
-        if (toPreload.length > 0) {
-            window.s3Client.preloadImages(toPreload).catch(err => {
-                console.warn('Error preloading images:', err);
+            positions.forEach(position => {
+                const s3Key = this.filteredResults[position]?.screenshot?.s3Key;
+                if (s3Key) {
+                    toPreload.push(s3Key);
+                }
             });
         }
+
+        window.s3Client.preloadImages(toPreload, FETCH_PRIORITIES.neighbour);
     }
 }
 
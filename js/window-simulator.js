@@ -0,0 +1,162 @@
+/**
+ * Sliding Window Simulator
+ * Replays ML detections through a sliding-window threshold model and
+ * predicts the post-processed games for each frame
+ */
+
+const SIMULATOR_DEFAULTS = {
+    windowSize: 5,
+    minHits: 3,
+    minConfidence: 0.5
+};
+
+class SlidingWindowSimulator {
+    constructor() {
+        this.params = { ...SIMULATOR_DEFAULTS };
+        this.predictions = new Map();
+        this.differingCount = 0;
+        this.comparedCount = 0;
+    }
+
+    /**
+     * Update model parameters (hit count never exceeds the window size)
+     */
+    setParams(params) {
+        const merged = { ...this.params, ...params };
+
+        merged.windowSize = Math.max(1, Math.round(merged.windowSize));
+        merged.minHits = Math.min(merged.windowSize, Math.max(1, Math.round(merged.minHits)));
+        merged.minConfidence = Math.min(1, Math.max(0, merged.minConfidence));
+
+        this.params = merged;
+        return this.params;
+    }
+
+    /**
+     * Restore the default parameters
+     */
+    resetParams() {
+        this.params = { ...SIMULATOR_DEFAULTS };
+        return this.params;
+    }
+
+    /**
+     * Replay all results in timeline order
+     */
+    run(results) {
+        const { windowSize, minHits } = this.params;
+        const frames = [];
+
+        this.predictions = new Map();
+        this.differingCount = 0;
+        this.comparedCount = 0;
+
+        results.forEach(result => {
+            frames.push(this.detectedGames(result));
+            if (frames.length > windowSize) {
+                frames.shift();
+            }
+
+            // Count in how many frames of the window each game was detected
+            const hits = new Map();
+            frames.forEach(frame => {
+                frame.forEach(gameId => hits.set(gameId, (hits.get(gameId) || 0) + 1));
+            });
+
+            const predicted = [...hits.entries()]
+                .filter(([, count]) => count >= minHits)
+                .map(([gameId]) => gameId)
+                .sort();
+
+            const post = result.postProcessed;
+            const actual = post && !post.error
+                ? [...new Set(post.games.map(game => game.gameId))].sort()
+                : null;
+
+            const differs = actual !== null && predicted.join('\n') !== actual.join('\n');
+            if (actual !== null) {
+                this.comparedCount++;
+            }
+            if (differs) {
+                this.differingCount++;
+            }
+
+            this.predictions.set(result, {
+                predicted: predicted,
+                actual: actual,
+                hits: [...hits.entries()].sort((a, b) => b[1] - a[1]),
+                framesInWindow: frames.length,
+                differs: differs
+            });
+        });
+
+        return {
+            compared: this.comparedCount,
+            differing: this.differingCount
+        };
+    }
+
+    /**
+     * Game IDs the ML model reported above the confidence cut-off
+     */
+    detectedGames(result) {
+        const ml = result.mlInference;
+        if (!ml || ml.error) return new Set();
+
+        return new Set(ml.games
+            .filter(game => game.confidence >= this.params.minConfidence)
+            .map(game => game.class));
+    }
+
+    /**
+     * Prediction for a result (null before the first run)
+     */
+    getPrediction(result) {
+        return this.predictions.get(result) || null;
+    }
+
+    /**
+     * Whether the prediction differs from the real post-processing output
+     */
+    differs(result) {
+        const prediction = this.predictions.get(result);
+        return prediction ? prediction.differs : false;
+    }
+
+    /**
+     * Short description of the current parameters
+     */
+    describeParams() {
+        const { windowSize, minHits, minConfidence } = this.params;
+        return `${minHits} of ${windowSize} frames at confidence ≥ ${minConfidence.toFixed(2)}`;
+    }
+
+    /**
+     * Render the prediction for the current frame
+     */
+    renderFrame(result) {
+        const frameDiv = document.getElementById('simulatorFrame');
+        const prediction = this.getPrediction(result);
+
+        if (!prediction) {
+            frameDiv.innerHTML = '';
+            return;
+        }
+
+        const list = ids => ids.length > 0 ? ids.join(', ') : '<span class="text-muted">none</span>';
+        const hits = prediction.hits
+            .map(([gameId, count]) => `${gameId} ${count}/${prediction.framesInWindow}`)
+            .join(', ');
+
+        frameDiv.innerHTML = `
+            <div class="simulator-frame-row ${prediction.differs ? 'differs' : ''}">
+                <div><strong>Predicted:</strong> ${list(prediction.predicted)}</div>
+                <div><strong>Post-processing:</strong> ${prediction.actual ? list(prediction.actual) : '<span class="text-muted">not available</span>'}</div>
+                <div><strong>Window hits:</strong> ${hits || '<span class="text-muted">none</span>'}</div>
+            </div>
+        `;
+    }
+}
+
+// Global instance
+window.windowSimulator = new SlidingWindowSimulator();